@@ -1,166 +1,2023 @@
 import fs from 'fs/promises';
+import { watch } from 'fs';
 import path from 'path';
+import { createRequire } from 'module';
+import { isDeepStrictEqual } from 'util';
+import { MemoryCooldownStore } from './lib/cooldowns.js';
+import { validateCommandData, loadClientEventNames } from './lib/validation.js';
+import {
+    ArgumentError,
+    MessageCommandAdapter,
+    MessageOptionResolver,
+    tokenize,
+    resolveSubcommand,
+    parseArguments,
+    formatUsage
+} from './lib/prefix.js';
+import { createFileFilter, isPlainObject, getModuleExports } from './lib/loader.js';
+import { createLogger } from './lib/logger.js';
+import { UserError, InternalError } from './lib/errors.js';
+import { MetricsRegistry, startMetricsServer } from './lib/metrics.js';
+import { parseCron, getNextRun } from './lib/cron.js';
 
 
 /**
+ * Database modules can export `connect`, `disconnect` and `healthCheck` functions.
+ *
  * @typedef {Object} dbObject
  * @property {string} [dbPath]
  * @property {string[]} [database]
+ * @property {number} [connectTimeout=10000] - Milliseconds to wait for one `connect()` attempt.
+ * @property {number} [retries=3] - Extra attempts after a failed `connect()`.
+ * @property {number} [retryDelay=1000] - Milliseconds before the first retry, doubled for every next one.
+ * @property {'export'|'file'} [keyBy='export'] - Name databases after their named exports, or after their file names.
+ * @property {boolean} [passSignal] - Call `connect({ signal, attempt })`, the signal is aborted when the attempt times out.
  */
 
-// /**
-//  * @typedef {Object} devObj
-//  * @property {string} [testServer]
-//  * @property {string[]} [channels]
-//  * @property {string[]} [devs]
-//  * @property {string[]} [badWords]
-//  */
+/**
+ * Which files are loaded from the commands, events, components and database folders.
+ * Globs are matched against the path relative to that folder.
+ *
+ * @typedef {Object} loaderObj
+ * @property {string[]} [extensions=['.js', '.mjs', '.cjs']]
+ * @property {string[]} [include] - Only load files matching one of these globs.
+ * @property {string[]} [exclude] - Skip files matching one of these globs, e.g. `['_*', '**\/*.test.js', 'helpers/**']`.
+ */
+
+/**
+ * @typedef {Object} devObj
+ * @property {string} [testServer] - Guild ID where `testOnly` commands are allowed. Defaults to `devServer`.
+ * @property {string[]} [devs] - User IDs allowed to run `devOnly` commands.
+ */
+
+/**
+ * Denial messages for the command guards. Each one can be a string or a function
+ * receiving `{ interaction, command, missing }` and returning a string.
+ *
+ * @typedef {Object} guardMessages
+ * @property {string|Function} [devOnly]
+ * @property {string|Function} [testOnly]
+ * @property {string|Function} [guildOnly]
+ * @property {string|Function} [dmOnly]
+ * @property {string|Function} [permissionsRequired]
+ * @property {string|Function} [botPermissions]
+ * @property {string|Function} [allowedRoles]
+ * @property {string|Function} [allowedChannels]
+ * @property {string|Function} [cooldown] - Receives `{ interaction, command, remaining }` with the remaining milliseconds.
+ * @property {string|Function} [invalidArguments] - Prefix commands only, receives `{ interaction, command, error, usage }`.
+ * @property {string|Function} [error] - Reply when a command or component throws, receives `{ interaction, command, error }`.
+ */
+
+/**
+ * Cooldown declared on a command. A plain number is a duration in milliseconds with the `user` scope.
+ *
+ * @typedef {Object} cooldownObj
+ * @property {number} duration - Length of the window in milliseconds.
+ * @property {'user'|'member'|'channel'|'guild'|'global'} [scope='user'] - Who shares the cooldown.
+ * @property {number} [limit=1] - How many uses are allowed inside one window.
+ */
+
+/**
+ * Storage for cooldowns, see `MemoryCooldownStore` for the default implementation.
+ *
+ * @typedef {Object} cooldownStore
+ * @property {(key: string) => number[]|undefined|Promise<number[]|undefined>} get
+ * @property {(key: string, value: number[], ttl: number) => void|Promise<void>} set
+ * @property {(key: string) => void|Promise<void>} delete
+ */
+
+/**
+ * Component handler module loaded from `componentsPath`.
+ *
+ * @typedef {Object} componentObj
+ * @property {string|RegExp} customId - Exact ID, a pattern with named parameters like `ticket:close:{id}`, or a RegExp.
+ * @property {boolean} [prefix] - Match any custom ID starting with `customId`.
+ * @property {'button'|'stringSelect'|'userSelect'|'roleSelect'|'channelSelect'|'mentionableSelect'|'modal'} [type] - Only match this kind of interaction.
+ * @property {Function} callback - Receives `{ client, eventArg, component, params, db }`.
+ */
+
+/**
+ * Scheduled task module loaded from `tasksPath`. Set either `cron` or `interval`.
+ *
+ * @typedef {Object} taskObj
+ * @property {string} [name] - Defaults to the file name.
+ * @property {string} [cron] - Cron expression in local time, e.g. `'0 * * * *'` or `'@daily'`.
+ * @property {number} [interval] - Milliseconds between runs.
+ * @property {boolean} [runOnStart] - Also run once as soon as the client is ready.
+ * @property {boolean} [enabled] - Set to false to skip the task.
+ * @property {Function} [onError] - Called with the error before the global `onError` when the task throws.
+ * @property {Function} callback - Receives `{ client, db, services, task }`.
+ */
+
+/**
+ * Command and event metrics. Set `port` to serve them in the Prometheus text format.
+ *
+ * @typedef {Object} metricsObj
+ * @property {number} [port] - Port of the built-in HTTP listener, it is not started without one.
+ * @property {string} [host='127.0.0.1'] - Interface of the listener, only local by default.
+ * @property {string} [path='/metrics'] - Path of the endpoint.
+ * @property {number[]} [buckets] - Upper bounds of the latency buckets in seconds.
+ */
+
+/**
+ * Receives errors thrown by event handlers, middleware, commands and components.
+ * Return `true` when the error is handled, the default error reply is then skipped.
+ *
+ * @callback errorHook
+ * @param {Error} error - The thrown error.
+ * @param {{event: string, eventArg: *, interaction?: Object, command?: Object, component?: Object, task?: Object, context: Object, fields: Object}} details
+ * - `interaction` is the repliable source (the message adapter for prefix commands), `context` the params of the callback.
+ * Errors of scheduled tasks have `event: 'task'` and no interaction.
+ * @returns {boolean|void|Promise<boolean|void>}
+ */
 
 /**
  * @typedef {Object} EventHandlerOptions
  * @property {Client} client
  * @property {string} [commandsPath]
  * @property {string} [eventsPath]
+ * @property {string} [componentsPath] - Folder with button, select menu and modal handlers.
+ * @property {string} [tasksPath] - Folder with scheduled tasks, started once the client is ready.
+ * @property {Function} [componentFallback] - Called for component interactions no handler matched.
  * @property {dbObject} [db]
+ * @property {loaderObj} [loader]
  * @property {string} [devServer]
+ * @property {'global'|'guilds'|string[]} [defaultScope='guilds'] - Where commands without a `scope` are registered.
+ * @property {devObj} [dev]
+ * @property {guardMessages} [messages]
+ * @property {cooldownStore} [cooldownStore] - Where cooldowns are kept, defaults to process memory.
+ * @property {Object<string, EventEmitter>} [emitters] - Extra emitters event handlers can listen on, by name.
+ * @property {string|string[]|Function} [prefix] - Enables prefix (text) commands, e.g. `'!'`. A function receives
+ * the message and `{ db, services }` and returns the prefix(es) for it, so every guild can have its own.
+ * @property {errorHook} [onError] - Called with every error thrown while handling an event or running a task, after the `onError` of the command, component or task.
+ * @property {metricsObj|false} [metrics] - Counters and latency histograms per command, event and task, `false` turns them off.
+ * @property {Object<string, *>} [services] - Dependencies (config, caches, API clients...) that commands, components and events can ask for by name.
+ * @property {Object} [logger] - Receives the library logs as `logger[level](message, fields)`, defaults to the console.
+ * @property {'debug'|'info'|'warn'|'error'|'silent'} [logLevel='warn'] - The lowest level that is logged.
+ * @property {boolean} [strict] - Refuse to start when validating the loaded modules finds errors.
+ * @property {boolean} [handleSignals] - On SIGINT/SIGTERM stop handling events, disconnect databases and destroy the client.
+ * @property {boolean} [watch] - Reload changed command and event files without restarting (development only).
+ */
+
+const DEFAULT_MESSAGES = {
+    devOnly: 'Only developers are allowed to run this command.',
+    testOnly: 'This command cannot be run here.',
+    guildOnly: 'This command can only be used in a server.',
+    dmOnly: 'This command can only be used in direct messages.',
+    permissionsRequired: ({ missing }) => `You lack the required permission: ${missing.join(', ')}.`,
+    botPermissions: ({ missing }) => `I am missing the required permission: ${missing.join(', ')}.`,
+    allowedRoles: 'You do not have a role that is allowed to run this command.',
+    allowedChannels: 'This command cannot be used in this channel.',
+    cooldown: ({ remaining }) => `Please wait ${Math.ceil(remaining / 1000)}s before using this command again.`,
+    invalidArguments: ({ error, usage }) => `${error}\nUsage: \`${usage}\``,
+    error: 'An error occurred while executing the command.',
+};
+
+// MessageFlags.Ephemeral, replaces the deprecated `ephemeral: true`
+const EPHEMERAL = 1 << 6;
+
+// Registry key prefixes for context menu commands, by application command type
+const CONTEXT_MENU_KEYS = {
+    2: 'user',
+    3: 'message',
+};
+
+// Events the handler listens to even without handler files
+const BUILT_IN_EVENTS = ['interactionCreate', 'ready'];
+
+const require = createRequire(import.meta.url);
+
+// Functions a database folder can export, see `initializeDatabases()`
+const DATABASE_LIFECYCLE = ['connect', 'disconnect', 'healthCheck'];
+
+// Longest delay setTimeout accepts, later cron runs are waited for in steps
+const MAX_TIMEOUT = 2 ** 31 - 1;
+
+const COMPONENT_TYPES = {
+    button: 'isButton',
+    stringSelect: 'isStringSelectMenu',
+    userSelect: 'isUserSelectMenu',
+    roleSelect: 'isRoleSelectMenu',
+    channelSelect: 'isChannelSelectMenu',
+    mentionableSelect: 'isMentionableSelectMenu',
+    modal: 'isModalSubmit',
+};
+
+/**
+ * Class to manage event handlers.
  */
+class EventHandlers {
+    /**
+     * @param {EventHandlerOptions} options - The options for the event handler.
+     */
+    constructor(options = {}) {
+        if (!options) {
+            throw new Error("Options object is required to initialize the class.");
+        }
+    
+        this.logger = createLogger(options.logger, options.logLevel);
+        this.client = options.client || null;
+        this.commandsPath = options.commandsPath || '';
+        this.eventsPath = options.eventsPath || '';
+        this.componentsPath = options.componentsPath || '';
+        this.tasksPath = options.tasksPath || '';
+        this.componentFallback = options.componentFallback || null;
+        this.dbOptions = options.db || {};
+        this.fileFilter = createFileFilter(options.loader);
+        this.devServer = options.devServer || false;
+        this.defaultScope = options.defaultScope || 'guilds';
+        this.dev = { devs: [], ...options.dev };
+        this.messages = { ...DEFAULT_MESSAGES, ...options.messages };
+        this.cooldownStore = options.cooldownStore || new MemoryCooldownStore();
+        this.ownsCooldownStore = !options.cooldownStore;
+        this.db = {};
+        this.services = options.services || {};
+        this.scopes = new WeakMap();
+        this.prefix = options.prefix || null;
+        this.onError = options.onError || null;
+
+        /**
+         * Command and event counters and latency histograms, null when the `metrics` option is false.
+         * @type {MetricsRegistry|null}
+         */
+        this.metricsOptions = options.metrics || {};
+        this.metrics = options.metrics === false ? null : new MetricsRegistry(this.metricsOptions);
+        this.metricsServer = null;
+
+        /**
+         * Connection status of each database: `connecting`, `connected`, `unhealthy`, `failed` or `disconnected`,
+         * `unmanaged` when it has no `connect` function.
+         * @type {Map<string, {status: string, error?: Error}>}
+         */
+        this.dbStatus = new Map();
+        this.handleSignals = options.handleSignals || false;
+        this.signalListeners = new Map();
+        this.shuttingDown = false;
+
+        /**
+         * Loaded commands keyed by command name, subcommands as `"parent sub"` or `"parent group sub"`.
+         * @type {Map<string, Object>}
+         */
+        this.commands = new Map();
+        this.commandModules = new Map();
+        this.commandSources = new Map();
+
+        /**
+         * Command files that failed to import. Commands are not synced while there are any,
+         * since the bulk overwrite would delete their commands from Discord.
+         * @type {Set<string>}
+         */
+        this.failedCommandFiles = new Set();
+
+        /**
+         * Result of validating the loaded modules, see `validateModules()`.
+         * @type {{errors: Array<Object>, warnings: Array<Object>}}
+         */
+        this.validation = { errors: [], warnings: [] };
+        this.strict = options.strict || false;
+        this.loading = false;
+        this.loadIssues = [];
+
+        /**
+         * Loaded event handlers keyed by event name, `emitter:event` for emitters other than the client.
+         * @type {Map<string, Array<Object>>}
+         */
+        this.events = new Map();
+        this.listeners = new Map();
+        this.emitters = options.emitters || {};
+        this.commandsRegistered = false;
+
+        /**
+         * Loaded component handlers, exact custom IDs first, then patterns in file order.
+         * @type {Array<{file: string, component: componentObj, match: (customId: string) => Object|null}>}
+         */
+        this.components = [];
+
+        /**
+         * Loaded scheduled tasks keyed by name.
+         * @type {Map<string, {name: string, file: string, task: taskObj, schedule: Object|null, scope: Object, timer: *, running: Promise<void>|null}>}
+         */
+        this.tasks = new Map();
+
+        this.watch = options.watch || false;
+        this.watchers = [];
+        this.pendingReloads = new Map();
+        this.loadCount = 0;
+
+        /**
+         * Resolves once databases, commands, components and events are loaded,
+         * rejects when loading fails.
+         * @type {Promise<void>}
+         */
+        this.ready = this.init();
+        this.ready.catch((error) =>
+            this.logger.error('Initialization failed', { error })
+        );
+    }
+
+    /**
+     * Creates the event handlers and waits until everything is loaded.
+     *
+     * @param {EventHandlerOptions} options - The options for the event handler.
+     * @returns {Promise<EventHandlers>} - The loaded instance, rejects on fatal load errors.
+     * When loading fails, what was already started (metrics listener, signal handlers, databases) is shut down first.
+     */
+    static async create(options) {
+        const handlers = new EventHandlers(options);
+
+        try {
+            await handlers.ready;
+        } catch (error) {
+            await handlers.destroy().catch(destroyError =>
+                handlers.logger.error('Cleaning up after the failed initialization failed', { error: destroyError })
+            );
+            throw error;
+        }
+
+        return handlers;
+    }
+
+    /**
+     * Initializes the event handlers.
+     */
+    async init() {
+        if (this.handleSignals) this.installSignalHandlers();
+
+        if (this.metrics && this.metricsOptions.port !== undefined) {
+            this.metricsServer = await startMetricsServer(this.metrics, this.metricsOptions);
+            const { address, port } = this.metricsServer.address();
+            this.logger.info('Serving metrics', { host: address, port, path: this.metricsOptions.path || '/metrics' });
+        }
+
+        if (this.dbOptions?.dbPath && this.dbOptions?.database) {
+            const databaseModules = await this.getObjectModules(this.dbOptions.dbPath, true);
+            await this.initializeDatabases(databaseModules);
+        }
+
+        await this.load();
+    }
+
+    /**
+     * Loads commands, components, events and tasks, and attaches the listeners.
+     * When the client is already ready, the commands are synced and the tasks started right away.
+     */
+    async load() {
+        if (!this.client) throw new Error("The 'client' option is required.");
+
+        this.loadCount++;
+        this.loading = true;
+        this.loadIssues = [];
+
+        try {
+            await this.loadCommands();
+            await this.loadComponents();
+            await this.loadEvents();
+            await this.loadTasks();
+
+            this.validation = await this.validateModules();
+            this.logValidationReport(this.validation);
+
+            if (this.strict && this.validation.errors.length) {
+                throw new Error(`Refusing to start in strict mode, validation found ${this.validation.errors.length} error(s).`);
+            }
+        } finally {
+            this.loading = false;
+        }
+
+        await this.eventHandler(this.client);
+
+        if (this.watch) this.startWatching();
+
+        // Created after the client logged in, the ready event will not come again
+        if (this.client.isReady?.() && !this.commandsRegistered) {
+            this.commandsRegistered = true;
+            await this.registerCommands(this.client);
+            this.startTasks();
+        }
+    }
+
+    /**
+     * Records a problem found while loading a module. During `load()` it is added to the
+     * validation report, otherwise (e.g. on hot reload) it is logged right away.
+     *
+     * @param {'error'|'warning'} level - How serious the problem is.
+     * @param {string} file - The file the problem is in.
+     * @param {string} message - What is wrong.
+     */
+    reportIssue(level, file, message) {
+        if (this.loading) {
+            this.loadIssues.push({ level, file, message });
+            return;
+        }
+
+        this.logger[level === 'error' ? 'error' : 'warn'](message, { file });
+    }
+
+    /**
+     * Checks everything that was loaded: command names, descriptions and options against Discord's rules,
+     * missing callbacks, and event names against discord.js `Events` (when discord.js can be imported).
+     * Problems found by the loaders themselves are included.
+     *
+     * @returns {Promise<{errors: Array<{file: string, message: string}>, warnings: Array<{file: string, message: string}>}>}
+     */
+    async validateModules() {
+        const issues = [...this.loadIssues];
+        const keys = [...this.commands.keys()];
+
+        for (const [key, commandObject] of this.commands) {
+            const file = this.commandSources.get(key);
+
+            if (!commandObject.parent) {
+                const data = this.toCommandJSON(this.getCommandData(commandObject));
+                for (const message of validateCommandData(data)) {
+                    issues.push({ level: 'error', file, message });
+                }
+            }
+
+            // Deleted commands and parents of subcommands never run
+            if (commandObject.deleted || keys.some(other => other.startsWith(`${key} `))) continue;
+
+            const hasCallback = typeof commandObject.callback === 'function';
+            const hasExecute = typeof commandObject.execute === 'function';
+
+            if (!hasCallback && hasExecute) {
+                issues.push({ level: 'warning', file, message: `Command "${key}" exports 'execute', it runs as the callback but should be renamed to 'callback'.` });
+            } else if (hasCallback && hasExecute) {
+                issues.push({ level: 'warning', file, message: `Command "${key}" exports both 'callback' and 'execute', 'execute' is ignored.` });
+            } else if (!hasCallback) {
+                issues.push({ level: 'error', file, message: `Command "${key}" has no 'callback' function.` });
+            }
+        }
+
+        const eventNames = await loadClientEventNames();
+        if (eventNames) {
+            for (const entries of this.events.values()) {
+                for (const { emitter, event, file } of entries) {
+                    // The events the handler listens to itself are always fine
+                    if (emitter !== 'client' || eventNames.has(event) || this.getBuiltInEvents().includes(event)) continue;
+
+                    issues.push({
+                        level: 'error',
+                        file,
+                        message: `Unknown client event "${event}". Use a discord.js event name, or the 'emitters' option for custom events.`,
+                    });
+                }
+            }
+        }
+
+        return {
+            errors: issues.filter(issue => issue.level === 'error'),
+            warnings: issues.filter(issue => issue.level === 'warning'),
+        };
+    }
+
+    /**
+     * Logs the validation report as a single entry.
+     *
+     * @param {{errors: Array<Object>, warnings: Array<Object>}} report - The result of `validateModules()`.
+     */
+    logValidationReport({ errors, warnings }) {
+        if (!errors.length && !warnings.length) return;
+
+        const lines = [
+            ...errors.map(({ file, message }) => `  error: ${file ? `${file}: ` : ''}${message}`),
+            ...warnings.map(({ file, message }) => `  warning: ${file ? `${file}: ` : ''}${message}`),
+        ];
+
+        this.logger.warn(`Validation found ${errors.length} error(s) and ${warnings.length} warning(s):\n${lines.join('\n')}`, {
+            errors: errors.length,
+            warnings: warnings.length,
+        });
+    }
+
+    /**
+     * Loads every command, component, event and task file again and re-attaches the listeners.
+     * Databases stay connected. When the client is already ready, commands are synced again and
+     * the tasks restarted, after the runs that were in progress finished.
+     *
+     * @returns {Promise<void>} - Resolves once everything is loaded again.
+     */
+    async reload() {
+        await this.ready.catch(() => {});
+
+        this.detach();
+        await this.waitForTasks();
+        this.clearRegistries();
+
+        this.ready = this.load();
+        await this.ready;
+    }
+
+    /**
+     * Detaches every listener the handler attached, stops the tasks, clears the registries, stops
+     * the metrics listener and disconnects the databases. The client itself is left alone.
+     * Task runs in progress finish before the databases are disconnected.
+     */
+    async destroy() {
+        await this.ready.catch(() => {});
+
+        this.detach();
+        await this.waitForTasks();
+        this.clearRegistries();
+
+        this.removeSignalHandlers();
+        if (this.ownsCooldownStore) this.cooldownStore.destroy();
+
+        if (this.metricsServer) {
+            const server = this.metricsServer;
+            this.metricsServer = null;
+            await new Promise(resolve => server.close(resolve));
+        }
+
+        await this.disconnectDatabases();
+        this.db = {};
+    }
+
+    /**
+     * Returns the recorded command, event and task metrics.
+     *
+     * @returns {{commands: Object, events: Object, tasks: Object}} - Per command key, event and task: `success`, `denied`
+     * and `error` counts, the total `count` and `averageMs`. Use `metrics.toPrometheus()` for the histograms.
+     */
+    getMetrics() {
+        return {
+            commands: this.metrics?.getStats('command') || {},
+            events: this.metrics?.getStats('event') || {},
+            tasks: this.metrics?.getStats('task') || {},
+        };
+    }
+
+    /**
+     * Shuts down in order: stops handling events, disconnects the databases and destroys the client.
+     *
+     * @param {string} [signal] - The signal that triggered the shutdown, if any.
+     */
+    async shutdown(signal) {
+        if (this.shuttingDown) return;
+        this.shuttingDown = true;
+
+        this.logger.info('Shutting down', { signal });
+
+        try {
+            await this.destroy();
+            await this.client?.destroy?.();
+        } catch (error) {
+            this.logger.error('Shutdown failed', { signal, error });
+        }
+
+        this.logger.info('Shutdown complete', { signal });
+    }
+
+    /**
+     * Runs `shutdown()` on SIGINT and SIGTERM, then lets the signal terminate the process.
+     */
+    installSignalHandlers() {
+        for (const signal of ['SIGINT', 'SIGTERM']) {
+            const listener = async () => {
+                await this.shutdown(signal);
+                this.removeSignalHandlers();
+                process.kill(process.pid, signal);
+            };
+
+            process.once(signal, listener);
+            this.signalListeners.set(signal, listener);
+        }
+    }
+
+    /**
+     * Removes the listeners added by `installSignalHandlers()`.
+     */
+    removeSignalHandlers() {
+        for (const [signal, listener] of this.signalListeners) {
+            process.off(signal, listener);
+        }
+        this.signalListeners.clear();
+    }
+
+    /**
+     * Stops the file watchers and the tasks, and removes every listener the handler attached.
+     */
+    detach() {
+        this.stopTasks();
+
+        for (const watcher of this.watchers) watcher.close();
+        this.watchers = [];
+
+        for (const timeout of this.pendingReloads.values()) clearTimeout(timeout);
+        this.pendingReloads.clear();
+
+        for (const { emitter, event, listener } of this.listeners.values()) {
+            emitter.off(event, listener);
+        }
+        this.listeners.clear();
+        this.commandsRegistered = false;
+    }
+
+    /**
+     * Empties the command, component, event and task registries.
+     */
+    clearRegistries() {
+        this.commands.clear();
+        this.commandModules.clear();
+        this.commandSources = new Map();
+        this.components = [];
+        this.events.clear();
+        this.tasks.clear();
+    }
+
+    /**
+     * Imports a command, component or event file. After a `reload()` the import bypasses
+     * the ESM cache, so the files are read again.
+     *
+     * @param {string} file - Absolute path of the module.
+     * @returns {Promise<Object>} - The module.
+     */
+    importModule(file) {
+        if (this.loadCount > 1) this.forgetCommonJS(file);
+        return import(`file://${file}${this.loadCount > 1 ? `?reload=${this.loadCount}` : ''}`);
+    }
+
+    /**
+     * CommonJS files are cached by `require` no matter the import URL, drop them so they are read again.
+     *
+     * @param {string} file - Absolute path of the module.
+     */
+    forgetCommonJS(file) {
+        if (path.extname(file) === '.cjs') delete require.cache[file];
+    }
+
+    /**
+     * @param {string} file - Absolute path of a file.
+     * @param {string} basePath - The folder it was found in (`commandsPath`, `eventsPath`...).
+     * @returns {boolean} - Whether the file should be loaded, see the `loader` option.
+     */
+    isLoadable(file, basePath) {
+        return this.fileFilter(path.relative(path.resolve(basePath), file));
+    }
+
+    /**
+     * Initializes database connections and waits for them.
+     * Fails when a database cannot connect after every retry.
+     *
+     * @param {Object} databaseModules - Loaded database modules.
+     */
+    async initializeDatabases(databaseModules) {
+        const connections = [];
+
+        for (const dbName of this.dbOptions.database) {
+            if (databaseModules[dbName]) {
+                this.db[dbName] = databaseModules[dbName];
+                if (typeof this.db[dbName].connect === 'function') {
+                    connections.push(this.connectDatabase(dbName));
+                } else {
+                    // Nothing to connect, the module manages its connection itself (or has none)
+                    this.logger.info("Database module has no 'connect' function, not managing its connection", { database: dbName });
+                    this.dbStatus.set(dbName, { status: 'unmanaged' });
+                }
+            } else {
+                this.logger.warn('Database not found in the provided modules', { database: dbName });
+            }
+        }
+
+        await Promise.all(connections);
+    }
+
+    /**
+     * Connects one database, with a timeout per attempt and retries with exponential backoff.
+     *
+     * The retry calls `connect()` again while the timed out call may still be pending, so it has to
+     * be safe to call twice. With `db.passSignal` it receives `{ signal, attempt }` instead of no
+     * arguments, and the signal is aborted when the attempt times out.
+     *
+     * @param {string} dbName - Name of the database module.
+     */
+    async connectDatabase(dbName) {
+        const { connectTimeout = 10_000, retries = 3, retryDelay = 1000, passSignal = false } = this.dbOptions;
+        const database = this.db[dbName];
+
+        for (let attempt = 0; ; attempt++) {
+            this.dbStatus.set(dbName, { status: 'connecting' });
+            const start = Date.now();
+
+            const controller = new AbortController();
+            let timeout;
+            try {
+                await Promise.race([
+                    passSignal ? database.connect({ signal: controller.signal, attempt: attempt + 1 }) : database.connect(),
+                    new Promise((resolve, reject) => {
+                        timeout = setTimeout(() => {
+                            const error = new Error(`Connecting to ${dbName} timed out after ${connectTimeout}ms.`);
+                            controller.abort(error);
+                            reject(error);
+                        }, connectTimeout);
+                    }),
+                ]);
+
+                this.dbStatus.set(dbName, { status: 'connected' });
+                this.logger.info('Connected to database', { database: dbName, attempt: attempt + 1, duration: Date.now() - start });
+                return;
+            } catch (error) {
+                if (attempt >= retries) {
+                    this.dbStatus.set(dbName, { status: 'failed', error });
+                    throw new Error(`Could not connect to database ${dbName} after ${attempt + 1} attempt(s): ${error.message}`, { cause: error });
+                }
+
+                const delay = retryDelay * 2 ** attempt;
+                this.logger.warn(`Connecting to database failed, retrying in ${delay}ms`, { database: dbName, attempt: attempt + 1, error });
+                await new Promise(resolve => setTimeout(resolve, delay));
+            } finally {
+                clearTimeout(timeout);
+            }
+        }
+    }
+
+    /**
+     * Disconnects every database that exports a `disconnect` function.
+     */
+    async disconnectDatabases() {
+        for (const [dbName, database] of Object.entries(this.db)) {
+            if (typeof database?.disconnect !== 'function') continue;
+
+            try {
+                await database.disconnect();
+                this.dbStatus.set(dbName, { status: 'disconnected' });
+            } catch (error) {
+                this.logger.error('Failed to disconnect database', { database: dbName, error });
+            }
+        }
+    }
+
+    /**
+     * Runs the `healthCheck` of every database that exports one and updates its status.
+     * A health check fails by throwing or returning false.
+     *
+     * @returns {Promise<Object<string, {status: string, error?: Error}>>} - The status of every database.
+     */
+    async checkDatabases() {
+        for (const [dbName, database] of Object.entries(this.db)) {
+            if (typeof database?.healthCheck !== 'function') continue;
+
+            try {
+                const healthy = await database.healthCheck();
+                this.dbStatus.set(dbName, healthy === false
+                    ? { status: 'unhealthy' }
+                    : { status: 'connected' });
+            } catch (error) {
+                this.dbStatus.set(dbName, { status: 'unhealthy', error });
+            }
+        }
+
+        return this.getDatabaseStatus();
+    }
+
+    /**
+     * @returns {Object<string, {status: string, error?: Error}>} - The status of every database.
+     */
+    getDatabaseStatus() {
+        return Object.fromEntries(this.dbStatus);
+    }
+
+    /**
+     * Loads every command file from `commandsPath` and builds the command registry.
+     * Fails when two command files declare the same command name.
+     */
+    async loadCommands() {
+        this.commands.clear();
+        this.commandModules.clear();
+        this.failedCommandFiles.clear();
+        if (!this.commandsPath) return;
+
+        const { files } = await this.getFilesRecursively(this.commandsPath);
+
+        for (const file of files.sort()) {
+            if (!this.isLoadable(file, this.commandsPath)) continue;
+
+            try {
+                const module = await this.importModule(file);
+                this.commandModules.set(file, getModuleExports(module, this.isCommandExport));
+            } catch (error) {
+                this.failedCommandFiles.add(file);
+                this.reportIssue('error', file, `Failed to load command: ${error.message}`);
+            }
+        }
+
+        this.buildCommands();
+        this.logger.info(`Loaded ${this.commands.size} command(s)`, { commands: [...this.commands.keys()] });
+    }
+
+    /**
+     * Rebuilds the command registry from the loaded command files.
+     *
+     * A folder with an `index.js` that has no callback is a command with subcommands:
+     * its other files are subcommands, and its subfolders (each with their own `index.js`)
+     * are subcommand groups. Subcommands are registered as `"parent sub"` and `"parent group sub"`.
+     */
+    buildCommands() {
+        const root = path.resolve(this.commandsPath);
+        const commands = new Map();
+        const sources = new Map();
+
+        const add = (key, commandObject, file) => {
+            if (commands.has(key)) {
+                throw new Error(`Duplicate command name '${key}' in '${sources.get(key)}' and '${file}'.`);
+            }
+            commands.set(key, commandObject);
+            sources.set(key, file);
+        };
+
+        const isParentFolder = (folder) =>
+            folder !== root && this.isCommandParent(this.getIndexModule(folder));
+
+        const trees = new Map();
+
+        for (const [file, exported] of this.commandModules) {
+            // The outermost parent folder above the file owns it
+            let treeFolder;
+            for (let folder = path.dirname(file); folder.startsWith(root) && folder !== root; folder = path.dirname(folder)) {
+                if (isParentFolder(folder)) treeFolder = folder;
+            }
+
+            if (treeFolder) {
+                if (!trees.has(treeFolder)) trees.set(treeFolder, []);
+                trees.get(treeFolder).push(file);
+                continue;
+            }
+
+            for (const commandObject of exported) {
+                const commandData = this.toCommandJSON(this.getCommandData(commandObject));
+                if (!commandData?.name) {
+                    this.reportIssue('warning', file, 'Skipped, no command name found.');
+                    continue;
+                }
+
+                add(this.getRegistryKey(commandData), commandObject, file);
+            }
+        }
+
+        for (const [folder, files] of trees) {
+            this.buildCommandTree(folder, files, add);
+        }
+
+        for (const [key, commandObject] of commands) {
+            this.scopes.set(commandObject, this.resolveDependencies(commandObject, sources.get(key)));
+        }
+
+        this.commands.clear();
+        for (const [key, commandObject] of commands) {
+            this.commands.set(key, commandObject);
+        }
+        this.commandSources = sources;
+    }
+
+    /**
+     * Assembles a command with subcommands from its folder.
+     *
+     * @param {string} folder - The folder holding the parent `index.js`.
+     * @param {string[]} files - Every command file inside the folder.
+     * @param {(key: string, commandObject: Object, file: string) => void} add - Adds an entry to the registry.
+     */
+    buildCommandTree(folder, files, add) {
+        const parentFile = this.getIndexFile(folder);
+        const parent = this.getIndexModule(folder);
+        const parentData = this.toCommandJSON(this.getCommandData(parent));
+
+        if (!parentData?.name) {
+            throw new Error(`No command name found in '${parentFile}'.`);
+        }
+
+        const subcommands = [];
+        const groups = new Map();
+
+        for (const file of files) {
+            const segments = path.relative(folder, file).split(path.sep);
+
+            if (segments.length === 1) {
+                if (file !== parentFile) subcommands.push(file);
+            } else if (segments.length === 2) {
+                const groupFolder = path.join(folder, segments[0]);
+                if (!this.getIndexFile(groupFolder)) {
+                    throw new Error(`Subcommand group folder '${groupFolder}' needs an index.js.`);
+                }
+                if (!groups.has(groupFolder)) groups.set(groupFolder, []);
+                if (file !== this.getIndexFile(groupFolder)) groups.get(groupFolder).push(file);
+            } else {
+                throw new Error(`'${file}' is nested too deep, subcommand groups cannot contain folders.`);
+            }
+        }
+
+        // Guards, cooldowns and other settings on the index.js files apply to their subcommands
+        const inherit = (commandObject) => {
+            const { command, name, description, options, callback, autocomplete, ...settings } = commandObject || {};
+            return settings;
+        };
+
+        // A file can export several subcommands
+        const toSubcommands = (file, keyPrefix, inherited) => this.commandModules.get(file).map(commandObject => {
+            const data = this.toCommandJSON(this.getCommandData(commandObject));
+            if (!data?.name) throw new Error(`No subcommand name found in '${file}'.`);
+
+            add(`${keyPrefix} ${data.name}`, { ...inherited, ...commandObject, parent: parentData.name }, file);
+            return { ...data, type: 1 };
+        });
+
+        const options = subcommands.flatMap(file => toSubcommands(file, parentData.name, inherit(parent)));
+
+        for (const [groupFolder, groupFiles] of groups) {
+            const group = this.getIndexModule(groupFolder);
+            const groupData = this.toCommandJSON(this.getCommandData(group));
+            if (!groupData?.name) throw new Error(`No subcommand group name found in '${this.getIndexFile(groupFolder)}'.`);
+
+            const inherited = { ...inherit(parent), ...inherit(group) };
+            options.push({
+                ...groupData,
+                type: 2,
+                options: groupFiles.flatMap(file => toSubcommands(file, `${parentData.name} ${groupData.name}`, inherited)),
+            });
+        }
+
+        add(parentData.name, { ...parent, command: { ...parentData, options } }, parentFile);
+    }
+
+    /**
+     * Named exports of a command file that are commands: objects with `command` data, or a `name`
+     * with a `description` (or a context menu `type`). Helper functions and constants are skipped.
+     *
+     * @param {*} value - One export of a command file.
+     * @returns {boolean}
+     */
+    isCommandExport(value) {
+        if (!isPlainObject(value)) return false;
+        return Boolean(value.command) || (typeof value.name === 'string' && (value.description !== undefined || value.type !== undefined));
+    }
+
+    /**
+     * @param {*} value - One export of a component file.
+     * @returns {boolean} - Whether it is a component handler, an object with a `customId`.
+     */
+    isComponentExport(value) {
+        return isPlainObject(value) && value.customId !== undefined;
+    }
+
+    /**
+     * Named exports of an event file that are handlers: functions, like `export const handler = ...`,
+     * or objects with a `callback` (or `execute`). Constants are skipped.
+     *
+     * @param {*} value - One export of an event file.
+     * @returns {boolean}
+     */
+    isEventExport(value) {
+        return typeof value === 'function'
+            || (isPlainObject(value) && (typeof value.callback === 'function' || typeof value.execute === 'function'));
+    }
+
+    /**
+     * @param {string} folder - A folder inside `commandsPath`.
+     * @returns {string|undefined} - Path of its loaded `index.js` (or `.mjs`/`.cjs`).
+     */
+    getIndexFile(folder) {
+        return ['index.js', 'index.mjs', 'index.cjs']
+            .map(name => path.join(folder, name))
+            .find(file => this.commandModules.has(file));
+    }
+
+    /**
+     * @param {string} folder - A folder inside `commandsPath`.
+     * @returns {Object|undefined} - The export of its index file.
+     */
+    getIndexModule(folder) {
+        return this.commandModules.get(this.getIndexFile(folder))?.[0];
+    }
+
+    /**
+     * @param {Object} commandObject - The exported module of an `index.js` file.
+     * @returns {boolean} - Whether the file describes a parent of subcommands instead of a runnable command.
+     */
+    isCommandParent(commandObject) {
+        return Boolean(commandObject) && typeof commandObject.callback !== 'function' && typeof commandObject.execute !== 'function';
+    }
+
+    /**
+     * Converts builders (anything with `toJSON`) to plain command data.
+     *
+     * @param {Object} data - Plain command data or a builder.
+     * @returns {Object} - Plain command data.
+     */
+    toCommandJSON(data) {
+        return typeof data?.toJSON === 'function' ? data.toJSON() : data;
+    }
+
+    /**
+     * Returns the registry key for an interaction: the command name followed by the subcommand group and subcommand,
+     * or the prefixed name for context menu commands.
+     *
+     * @param {Object} interaction - The interaction object from Discord.
+     * @returns {string} - The registry key.
+     */
+    getCommandKey(interaction) {
+        const prefix = CONTEXT_MENU_KEYS[interaction.commandType];
+        if (prefix) return `${prefix}:${interaction.commandName}`;
+
+        const group = interaction.options?.getSubcommandGroup?.(false);
+        const subcommand = interaction.options?.getSubcommand?.(false);
+        return [interaction.commandName, group, subcommand].filter(Boolean).join(' ');
+    }
+
+    /**
+     * Finds the registry entry for an interaction. Commands that declare their subcommands
+     * in a single file are found by their top-level name.
+     *
+     * @param {Object} interaction - The interaction object from Discord.
+     * @returns {Object|undefined} - The command object.
+     */
+    findCommand(interaction) {
+        if (CONTEXT_MENU_KEYS[interaction.commandType]) return this.commands.get(this.getCommandKey(interaction));
+
+        return this.commands.get(this.getCommandKey(interaction)) || this.commands.get(interaction.commandName);
+    }
+
+    /**
+     * @returns {Object[]} - The top-level commands, the ones that are registered with Discord.
+     */
+    getTopLevelCommands() {
+        return [...this.commands.values()].filter(commandObject => !commandObject.parent);
+    }
+
+    /**
+     * Loads the component handlers from `componentsPath`.
+     * Fails on invalid handlers and on two handlers with the same custom ID and type.
+     */
+    async loadComponents() {
+        this.components = [];
+        if (!this.componentsPath) return;
+
+        const { files } = await this.getFilesRecursively(this.componentsPath);
+        const components = [];
+
+        for (const file of files.sort()) {
+            if (!this.isLoadable(file, this.componentsPath)) continue;
+
+            let exported;
+            try {
+                exported = getModuleExports(await this.importModule(file), this.isComponentExport);
+            } catch (error) {
+                this.reportIssue('error', file, `Failed to load component: ${error.message}`);
+                continue;
+            }
+
+            for (const component of exported) {
+                const entry = this.createComponentEntry(file, component);
+                const duplicate = components.find(other => this.isSameComponent(other.component, component));
+                if (duplicate) {
+                    throw new Error(`Duplicate component custom ID '${component.customId}' in '${duplicate.file}' and '${file}'.`);
+                }
+
+                components.push(entry);
+            }
+        }
+
+        this.components = this.sortComponents(components);
+        this.logger.info(`Loaded ${this.components.length} component handler(s)`);
+    }
+
+    /**
+     * Validates a component handler and builds the matcher for its custom ID.
+     *
+     * @param {string} file - Path of the file the handler was loaded from.
+     * @param {componentObj} component - The exported component handler.
+     * @returns {{file: string, component: componentObj, match: (customId: string) => Object|null, scope: Object}}
+     */
+    createComponentEntry(file, component) {
+        const { customId, type, prefix } = component || {};
+
+        if (typeof customId !== 'string' && !(customId instanceof RegExp)) {
+            throw new Error(`Component in '${file}' needs a 'customId' string or RegExp.`);
+        }
+        if (type && !COMPONENT_TYPES[type]) {
+            throw new Error(`Unknown component type '${type}' in '${file}'. Use one of: ${Object.keys(COMPONENT_TYPES).join(', ')}.`);
+        }
+        if (typeof component.callback !== 'function') {
+            throw new Error(`Component in '${file}' is missing a 'callback' function.`);
+        }
+
+        let pattern = customId;
+        if (typeof customId === 'string' && (prefix || customId.includes('{'))) {
+            const source = customId
+                .split(/(\{\w+\})/)
+                .map(part => /^\{\w+\}$/.test(part)
+                    ? `(?<${part.slice(1, -1)}>[^:]+)`
+                    : part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+                .join('');
+            pattern = new RegExp(`^${source}${prefix ? '' : '$'}`);
+        }
+
+        const match = typeof pattern === 'string'
+            ? (id) => (id === pattern ? {} : null)
+            : (id) => {
+                const result = pattern.exec(id);
+                return result ? { ...result.groups } : null;
+            };
+
+        return { file, component, match, scope: this.resolveDependencies(component, file) };
+    }
+
+    /**
+     * @returns {boolean} - Whether two component handlers would match the same interactions.
+     */
+    isSameComponent(a, b) {
+        return String(a.customId) === String(b.customId) && !a.prefix === !b.prefix && (a.type || null) === (b.type || null);
+    }
+
+    /**
+     * Puts handlers with an exact custom ID before pattern and prefix handlers, keeping file order otherwise.
+     */
+    sortComponents(components) {
+        const isExact = ({ component }) => typeof component.customId === 'string' && !component.prefix && !component.customId.includes('{');
+        return [...components.filter(isExact), ...components.filter(entry => !isExact(entry))];
+    }
+
+    /**
+     * Collects the databases and services a module asks for with its `db` and `services` arrays.
+     * Modules without a `db` array keep getting every database, modules without `services` get none.
+     *
+     * @param {Object} moduleObject - The exported command, component or event handler.
+     * @param {string} source - Where the module was loaded from, for the error message.
+     * @returns {{db?: Object, services: Object}} - The dependencies to put in the params of the module.
+     * @throws {Error} When a requested database or service does not exist.
+     */
+    resolveDependencies(moduleObject, source) {
+        const pick = (names, available, kind) => {
+            const missing = names.filter(name => !(name in available));
+            if (missing.length) {
+                throw new Error(`'${source}' needs ${kind} ${missing.map(name => `'${name}'`).join(', ')}, which ${missing.length > 1 ? 'are' : 'is'} not available.`);
+            }
+            return Object.fromEntries(names.map(name => [name, available[name]]));
+        };
+
+        const scope = { services: pick(moduleObject?.services || [], this.services, 'service') };
+        if (Array.isArray(moduleObject?.db)) scope.db = pick(moduleObject.db, this.db, 'database');
+
+        return scope;
+    }
+
+    /**
+     * Gives a module its own view of the shared params: the keys in `scope` are replaced,
+     * everything else (including writes) goes to the shared object, so middleware can still enrich it.
+     *
+     * @param {Object} context - The params shared by the middleware chain.
+     * @param {Object} [scope] - The values only this module sees.
+     * @returns {Object} - The scoped params.
+     */
+    scopeContext(context, scope) {
+        if (!scope) return context;
+
+        return new Proxy(context, {
+            get: (target, property, receiver) => (property in scope ? scope[property] : Reflect.get(target, property, receiver)),
+            has: (target, property) => property in scope || property in target,
+            ownKeys: (target) => [...new Set([...Reflect.ownKeys(target), ...Reflect.ownKeys(scope)])],
+            getOwnPropertyDescriptor: (target, property) => property in scope
+                ? { value: scope[property], writable: true, enumerable: true, configurable: true }
+                : Reflect.getOwnPropertyDescriptor(target, property),
+        });
+    }
+
+    /**
+     * Returns the application command data of a command module.
+     *
+     * @param {Object} commandObject - The exported command module.
+     * @returns {Object|undefined} - The `command` property, or the top-level `name`, `description` and `options`.
+     */
+    getCommandData(commandObject) {
+        if (!commandObject) return;
+
+        const { command, name, description, options, type } = commandObject;
+        return command || (name ? { name, description, options, type } : undefined);
+    }
+
+    /**
+     * Returns the registry key for command data. Context menu commands are prefixed with
+     * their type (`"user:Report"`, `"message:Translate"`), since Discord allows them to share
+     * a name with a slash command.
+     *
+     * @param {Object} data - Plain command data.
+     * @returns {string} - The registry key.
+     */
+    getRegistryKey(data) {
+        const prefix = CONTEXT_MENU_KEYS[data.type];
+        return prefix ? `${prefix}:${data.name}` : data.name;
+    }
+
+    /**
+     * @returns {boolean} - Whether a command from Discord and local command data are the same command.
+     */
+    isSameCommand(existingCommand, commandData) {
+        return existingCommand.name === commandData.name && (existingCommand.type || 1) === (commandData.type || 1);
+    }
+
+    /**
+     * Loads every event handler file from `eventsPath` into the event table.
+     * Handlers are grouped by event (their main folder, or the `event` they export)
+     * and by emitter, and ordered by `priority` and then by file name.
+     */
+    async loadEvents() {
+        this.events.clear();
+        if (!this.eventsPath) return;
+
+        const { files, folders } = await this.getFilesRecursively(this.eventsPath);
+        const usedFolders = new Set();
+
+        for (const file of files.sort()) {
+            if (!this.isLoadable(file, this.eventsPath)) continue;
+            usedFolders.add(this.getEventName(file));
+
+            let exported;
+            try {
+                exported = getModuleExports(await this.importModule(file), this.isEventExport);
+            } catch (error) {
+                this.reportIssue('error', file, `Failed to load event handler: ${error.message}`);
+                continue;
+            }
+
+            if (!exported.length) {
+                this.reportIssue('warning', file, "Skipped, no event handler found. Export a function, or an object with a 'callback'.");
+                continue;
+            }
+
+            for (const handler of exported) {
+                const entry = this.createEventEntry(file, handler);
+                if (!entry) continue;
+
+                if (!this.events.has(entry.key)) this.events.set(entry.key, []);
+                this.events.get(entry.key).push(entry);
+            }
+        }
+
+        for (const [key, entries] of this.events) {
+            this.events.set(key, this.sortEventEntries(entries));
+        }
+
+        // Keep empty event folders so they are reported like before
+        for (const folder of folders) {
+            const eventName = this.getEventName(folder);
+            if (!usedFolders.has(eventName) && !this.events.has(eventName)) this.events.set(eventName, []);
+        }
+    }
+
+    /**
+     * Reads the handler and its settings from an event module. The export can be the handler
+     * function itself, or an object with a `callback` (or `execute`) and these settings:
+     *
+     * - `event`: event name, defaults to the main folder name
+     * - `emitter`: `'client'` (default), a name from the `emitters` option, or a property of the client such as `'rest'`
+     * - `once`: run only the first time, defaults to true for `ready`
+     * - `priority`: higher runs first, defaults to 0
+     * - `enabled`: set to false to skip the file
+     * - `filter`: predicate receiving the handler params, the handler is skipped when it returns false
+     *
+     * @param {string} file - Path of the file the handler was loaded from.
+     * @param {Function|Object} exported - One export of the file.
+     * @returns {Object|null} - The event table entry, or null when the handler is disabled or invalid.
+     */
+    createEventEntry(file, exported) {
+        if (!exported) return null;
+
+        const settings = typeof exported === 'function' ? { callback: exported } : exported;
+        const callback = settings.callback || settings.execute;
+        const event = settings.event || this.getEventName(file);
+        const emitter = settings.emitter || 'client';
+
+        if (!event) return null;
+
+        if (typeof callback !== 'function') {
+            this.reportIssue('error', file, "Skipped, the event handler does not export a function or a 'callback'.");
+            return null;
+        }
+
+        if (settings.enabled === false) {
+            this.logger.debug('Event handler is disabled, skipping', { file });
+            return null;
+        }
+
+        return {
+            key: emitter === 'client' ? event : `${emitter}:${event}`,
+            file,
+            event,
+            emitter,
+            once: settings.once ?? event === 'ready',
+            priority: settings.priority || 0,
+            filter: settings.filter || null,
+            scope: this.resolveDependencies(settings, file),
+            callback,
+        };
+    }
+
+    /**
+     * Orders event handlers by priority (highest first), then by file name.
+     */
+    sortEventEntries(entries) {
+        return [...entries].sort((a, b) => b.priority - a.priority || a.file.localeCompare(b.file));
+    }
+
+    /**
+     * Returns the event name of a file or folder inside `eventsPath`.
+     *
+     * @param {string} filePath - Absolute path inside the events folder.
+     * @returns {string|undefined} - The main folder name, or undefined for files in the root of the folder.
+     */
+    getEventName(filePath) {
+        const segments = path.relative(path.resolve(this.eventsPath), filePath).split(path.sep);
+        return segments.length > 1 || !path.extname(filePath) ? segments[0] : undefined;
+    }
+
+    /**
+     * Resolves the emitter an event handler listens on.
+     *
+     * @param {string} name - `'client'`, a name from the `emitters` option, or a property of the client.
+     * @returns {EventEmitter} - The emitter.
+     */
+    resolveEmitter(name) {
+        if (name === 'client') return this.client;
+
+        const emitter = this.emitters[name] || this.client?.[name];
+        if (typeof emitter?.on !== 'function') {
+            throw new Error(`Unknown event emitter '${name}'. Register it with the 'emitters' option.`);
+        }
+
+        return emitter;
+    }
+
+    /**
+     * Loads the scheduled tasks from `tasksPath`. They only start once the client is ready.
+     */
+    async loadTasks() {
+        this.tasks.clear();
+        if (!this.tasksPath) return;
+
+        const { files } = await this.getFilesRecursively(this.tasksPath);
+
+        for (const file of files.sort()) {
+            if (!this.isLoadable(file, this.tasksPath)) continue;
+
+            let exported;
+            try {
+                exported = getModuleExports(await this.importModule(file), this.isTaskExport);
+            } catch (error) {
+                this.reportIssue('error', file, `Failed to load task: ${error.message}`);
+                continue;
+            }
+
+            if (!exported.length) {
+                this.reportIssue('warning', file, "Skipped, no task found. Export an object with a 'cron' or an 'interval' and a 'callback'.");
+                continue;
+            }
+
+            for (const task of exported) {
+                let entry;
+                try {
+                    entry = this.createTaskEntry(file, task);
+                } catch (error) {
+                    this.reportIssue('error', file, error.message);
+                    continue;
+                }
+                if (!entry) continue;
+
+                const duplicate = this.tasks.get(entry.name);
+                if (duplicate) {
+                    this.reportIssue('error', file, `Task '${entry.name}' is skipped, the name is already used in '${duplicate.file}'.`);
+                    continue;
+                }
+
+                this.tasks.set(entry.name, entry);
+            }
+        }
+
+        this.logger.info(`Loaded ${this.tasks.size} task(s)`);
+    }
+
+    /**
+     * Named exports of a task file that are tasks, helper functions and constants are skipped.
+     *
+     * @param {*} value - One export of a task file.
+     * @returns {boolean} - Whether it is an object with a `cron` or an `interval`.
+     */
+    isTaskExport(value) {
+        return isPlainObject(value) && (value.cron !== undefined || value.interval !== undefined);
+    }
+
+    /**
+     * Validates a task module and parses its schedule.
+     *
+     * @param {string} file - Path of the file the task was loaded from.
+     * @param {taskObj} task - One export of the file.
+     * @returns {Object|null} - The task entry, or null when the task is disabled.
+     * @throws {Error} When the task is invalid.
+     */
+    createTaskEntry(file, task) {
+        const name = task?.name || path.basename(file, path.extname(file));
+
+        if (typeof task?.callback !== 'function') {
+            throw new Error(`Task '${name}' has no 'callback' function.`);
+        }
+        if ((task.cron === undefined) === (task.interval === undefined)) {
+            throw new Error(`Task '${name}' needs either a 'cron' expression or an 'interval' in milliseconds.`);
+        }
+        if (task.interval !== undefined && !(Number.isFinite(task.interval) && task.interval > 0)) {
+            throw new Error(`Task '${name}' has an invalid interval '${task.interval}', use milliseconds above 0.`);
+        }
+
+        if (task.enabled === false) {
+            this.logger.debug('Task is disabled, skipping', { task: name, file });
+            return null;
+        }
+
+        let schedule = null;
+        if (task.cron !== undefined) {
+            try {
+                schedule = parseCron(task.cron);
+            } catch (error) {
+                throw new Error(`Task '${name}' has an invalid schedule. ${error.message}`);
+            }
+        }
+        if (schedule && !getNextRun(schedule)) {
+            throw new Error(`Task '${name}' has a cron expression that never matches: '${task.cron}'.`);
+        }
+
+        return { name, file, task, schedule, scope: this.resolveDependencies(task, file), timer: null, running: null, overlapWarned: false };
+    }
+
+    /**
+     * Starts the schedule of every loaded task that is not started yet.
+     */
+    startTasks() {
+        for (const entry of this.tasks.values()) {
+            if (entry.timer) continue;
+
+            this.scheduleTask(entry);
+            if (entry.task.runOnStart) this.executeTask(entry);
+
+            this.logger.debug('Started task', { task: entry.name, cron: entry.task.cron, interval: entry.task.interval });
+        }
+    }
+
+    /**
+     * Sets the timer of a task: a repeating one for an interval, one for the next matching
+     * minute for a cron expression. The timers do not keep the process alive.
+     *
+     * @param {Object} entry - The task entry.
+     */
+    scheduleTask(entry) {
+        if (!entry.schedule) {
+            entry.timer = setInterval(() => this.executeTask(entry), entry.task.interval).unref();
+            return;
+        }
+
+        const nextRun = getNextRun(entry.schedule);
+        if (!nextRun) return;
+
+        entry.timer = setTimeout(() => {
+            if (Date.now() >= nextRun.getTime()) this.executeTask(entry);
+            this.scheduleTask(entry);
+        }, Math.min(nextRun.getTime() - Date.now(), MAX_TIMEOUT)).unref();
+    }
+
+    /**
+     * Clears the timers of every task. Runs in progress are not interrupted, see `waitForTasks()`.
+     */
+    stopTasks() {
+        for (const entry of this.tasks.values()) {
+            if (entry.schedule) clearTimeout(entry.timer);
+            else clearInterval(entry.timer);
+
+            entry.timer = null;
+        }
+    }
+
+    /**
+     * @returns {Promise<void>} - Resolves once every task run in progress is done.
+     */
+    async waitForTasks() {
+        await Promise.all([...this.tasks.values()].map(entry => entry.running).filter(Boolean));
+    }
+
+    /**
+     * Runs a task right away, outside its schedule.
+     *
+     * @param {string} name - The task name.
+     * @returns {Promise<boolean>} - Whether it ran, false when the previous run was still in progress.
+     * @throws {Error} When there is no task with that name.
+     */
+    async runTask(name) {
+        await this.ready;
+
+        const entry = this.tasks.get(name);
+        if (!entry) throw new Error(`Unknown task '${name}'.`);
+
+        return this.executeTask(entry);
+    }
+
+    /**
+     * Runs a task once, unless its previous run is still in progress. Errors go through
+     * `handleError()` like the errors of commands, so the `onError` hooks receive them.
+     *
+     * @param {Object} entry - The task entry.
+     * @returns {Promise<boolean>} - Whether the task ran.
+     */
+    async executeTask(entry) {
+        if (this.shuttingDown) return false;
+
+        if (entry.running) {
+            // Warn once per overlapping run, a short interval would flood the log otherwise
+            this.logger[entry.overlapWarned ? 'debug' : 'warn']('Task is still running, skipping this run', { task: entry.name });
+            entry.overlapWarned = true;
+            return false;
+        }
+
+        const start = Date.now();
+        const context = { client: this.client, db: this.db, services: {}, task: entry.task };
+        const fields = { task: entry.name };
+
+        entry.running = (async () => {
+            try {
+                await entry.task.callback(this.scopeContext(context, entry.scope));
+
+                const duration = Date.now() - start;
+                this.metrics?.record('task', entry.name, 'success', duration);
+                this.logger.info('Task finished', { ...fields, duration });
+            } catch (error) {
+                const duration = Date.now() - start;
+                this.metrics?.record('task', entry.name, 'error', duration);
+
+                await this.handleError(error, { event: 'task', eventArg: undefined, context, target: null, fields: { ...fields, duration } });
+            }
+        })();
+
+        try {
+            await entry.running;
+        } finally {
+            entry.running = null;
+            entry.overlapWarned = false;
+        }
+
+        return true;
+    }
+
+    async eventHandler(client) {
+        this.logger.debug('Attaching event listeners', { events: [...this.events.keys()] });
+
+        for (const key of new Set([...this.events.keys(), ...this.getBuiltInEvents()])) {
+            this.attachEvent(client, key);
+        }
+    }
+
+    /**
+     * @returns {string[]} - The events the handler listens to even without handler files.
+     */
+    getBuiltInEvents() {
+        return this.prefix ? [...BUILT_IN_EVENTS, 'messageCreate'] : BUILT_IN_EVENTS;
+    }
+
+    /**
+     * Attaches a single listener for an event. The listener reads its handlers from the event
+     * table on every call, so reloaded files take effect without re-attaching.
+     *
+     * @param {Client} client - The Discord client instance.
+     * @param {string} key - Key of the event in the event table, `event` or `emitter:event`.
+     */
+    attachEvent(client, key) {
+        if (this.listeners.has(key)) return;
+
+        const entries = this.events.get(key) || [];
+
+        // Skip events without handlers, except the ones the handler itself needs
+        if (entries.length === 0 && !this.getBuiltInEvents().includes(key)) {
+            this.logger.warn('Skipping event without handlers', { event: key });
+            return;
+        }
+
+        const emitterName = entries[0]?.emitter || 'client';
+        const eventName = entries[0]?.event || key;
+        const emitter = emitterName === 'client' ? client : this.resolveEmitter(emitterName);
+
+        const listener = async (eventArg) => {
+            if (this.shuttingDown) return;
+
+            const start = Date.now();
+            const context = { client, eventArg, db: this.db, services: {} };
+            let fields = this.getLogFields(key, eventArg);
+            let target = null;
+
+            try {
+                // Special handling for interactionCreate event
+                if (key === "interactionCreate") {
+                    const isComponent = eventArg.isMessageComponent?.() || eventArg.isModalSubmit?.();
+                    target = await (isComponent
+                        ? this.handleComponents(eventArg)
+                        : this.handleCommands(client, eventArg, this.db));
+
+                    Object.assign(context, { command: {} }, target?.context);
+                } else if (key === "messageCreate" && this.prefix) {
+                    target = await this.handlePrefixCommand(client, eventArg);
+                    Object.assign(context, target?.context);
+                } else if (key === "ready" && !this.commandsRegistered) {
+                    // Special handling for the 'ready' event
+                    this.commandsRegistered = true;
+                    await this.registerCommands(client);
+                    this.startTasks();
+                }
+
+                // Event handlers first, then the command's own middleware, then its callback exactly once
+                const middleware = [
+                    ...(this.events.get(key) || []).map(entry => this.toMiddleware(key, entry)),
+                    ...(target?.middleware || []).map(fn => (params, next) => fn(this.scopeContext(params, target.scope), next)),
+                ];
+                let callbackRan = false;
+                const callback = target?.callback && ((params) => {
+                    callbackRan = true;
+                    return target.callback(this.scopeContext(params, target.scope));
+                });
+
+                fields = this.getLogFields(key, target?.scope?.eventArg || eventArg);
+                await this.runMiddleware(middleware, context, callback);
+
+                const duration = Date.now() - start;
+                this.metrics?.record('event', key, 'success', duration);
+                // A middleware that did not call next() stopped the command
+                if (target?.callback && fields.command) {
+                    this.metrics?.record('command', fields.command, callbackRan ? 'success' : 'denied', duration);
+                }
+
+                this.logger[target?.callback ? 'info' : 'debug'](
+                    fields.command ? 'Command handled' : 'Event handled',
+                    { ...fields, duration }
+                );
+            } catch (error) {
+                const duration = Date.now() - start;
+                this.metrics?.record('event', key, 'error', duration);
+                if (fields.command) this.metrics?.record('command', fields.command, 'error', duration);
+
+                await this.handleError(error, { event: key, eventArg, context, target, fields: { ...fields, duration } });
+            }
+        };
+
+        // Attach the event listener with the appropriate handler(s)
+        emitter.on(eventName, listener);
+        this.listeners.set(key, { emitter, event: eventName, listener });
+
+        this.logger.debug('Attached event listener', { event: key, emitter: emitterName, handlers: entries.length });
+    }
+
+    /**
+     * Handles an error thrown while handling an event: logs it, calls the `onError` hook of the
+     * command or component and then the global one, and unless a hook returned `true`,
+     * replies to the user. A `UserError` is replied with its own message, anything else
+     * with `messages.error`. Deferred replies are edited, answered ones get a follow-up.
+     *
+     * @param {Error} error - The thrown error.
+     * @param {Object} details
+     * @param {string} details.event - Key of the event in the event table.
+     * @param {*} details.eventArg - The first argument of the event.
+     * @param {Object} details.context - The params of the middleware chain.
+     * @param {Object} [details.target] - The command or component that was dispatched, if any.
+     * @param {Object} details.fields - Structured log fields.
+     */
+    async handleError(error, { event, eventArg, context, target, fields }) {
+        const isUserError = error instanceof UserError;
+        this.logger[isUserError ? 'debug' : 'error'](isUserError ? `User error in ${event} handler` : `Error in ${event} handler`, { ...fields, error });
+
+        const interaction = target?.scope?.eventArg || eventArg;
+        const command = context.command?.command || context.command?.name ? context.command : undefined;
+        const details = { event, eventArg, interaction, command, component: context.component, task: context.task, context, fields };
+
+        let handled = false;
+        for (const hook of [command?.onError || context.component?.onError || context.task?.onError, this.onError]) {
+            if (typeof hook !== 'function') continue;
+
+            try {
+                if (await hook(error, details)) handled = true;
+            } catch (hookError) {
+                this.logger.error('onError hook failed', { ...fields, error: hookError });
+            }
+        }
+
+        if (handled || typeof interaction?.reply !== 'function' || interaction.isRepliable?.() === false) return;
+        // Only commands and components get a reply, not every message or other event with a reply method
+        if (!command && !context.component && event !== 'interactionCreate') return;
+
+        const message = this.messages.error;
+        const content = isUserError
+            ? error.message
+            : typeof message === 'function' ? message({ interaction, command, error }) : message;
+        const ephemeral = !isUserError || error.ephemeral;
+
+        try {
+            await this.sendReply(interaction, { content, ...(ephemeral && { flags: EPHEMERAL }) });
+        } catch (sendError) {
+            this.logger.error('Failed to send the error message to the user', { ...fields, error: sendError });
+        }
+    }
+
+    /**
+     * Answers an interaction whatever its state: replies, edits the deferred reply,
+     * or sends a follow-up when it was already answered. Messages get a normal reply.
+     *
+     * @param {Object} interaction - The interaction, message adapter or message.
+     * @param {Object} options - The reply options.
+     * @returns {Promise<*>} - What discord.js returned.
+     */
+    sendReply(interaction, options) {
+        // A plain message has no ephemeral replies
+        if (typeof interaction.isRepliable !== 'function') {
+            const { flags, ...messageOptions } = options;
+            return interaction.reply(messageOptions);
+        }
+
+        if (interaction.deferred && !interaction.replied) return interaction.editReply(options);
+        if (interaction.replied) return interaction.followUp(options);
+        return interaction.reply(options);
+    }
+
+    /**
+     * Collects the structured log fields of an event: the command or custom ID, guild and user when there are any.
+     *
+     * @param {string} key - Key of the event in the event table.
+     * @param {*} eventArg - The first argument of the event.
+     * @returns {Object} - The fields, without the ones that do not apply.
+     */
+    getLogFields(key, eventArg) {
+        const fields = {
+            event: key,
+            command: eventArg?.commandName ? this.getCommandKey(eventArg) : undefined,
+            customId: eventArg?.customId,
+            guildId: eventArg?.guildId ?? eventArg?.guild?.id,
+            userId: eventArg?.user?.id ?? eventArg?.author?.id,
+        };
+
+        return Object.fromEntries(Object.entries(fields).filter(([, value]) => value != null));
+    }
+
+    /**
+     * Wraps an event handler as middleware.
+     *
+     * Handlers that take a second parameter get `next()` and decide themselves whether the chain
+     * continues. Handlers with a single parameter run like before: the chain continues unless
+     * they return a truthy value.
+     *
+     * @param {string} key - Key of the event in the event table.
+     * @param {Object} entry - The event table entry.
+     * @returns {(context: Object, next: Function) => Promise<*>} - The middleware.
+     */
+    toMiddleware(key, entry) {
+        const { callback: handler } = entry;
+
+        return async (context, next) => {
+            if (entry.filter && !(await entry.filter(context))) return next();
+
+            if (entry.once) {
+                this.events.set(key, (this.events.get(key) || []).filter(other => other !== entry));
+            }
+
+            const params = this.scopeContext(context, entry.scope);
+            if (handler.length >= 2) return handler(params, next);
+
+            if (await handler(params)) return;
+            return next();
+        };
+    }
+
+    /**
+     * Runs middleware in order, each one receiving the shared context and a `next()` function
+     * that runs the rest of the chain. The final handler runs when the last middleware calls `next()`.
+     *
+     * @param {Array<(context: Object, next: Function) => *>} middleware - The middleware chain.
+     * @param {Object} context - The context shared by the chain, middleware can add to it.
+     * @param {(context: Object) => *} [final] - Runs at the end of the chain, e.g. the command callback.
+     * @returns {Promise<*>} - What the first middleware returned.
+     */
+    async runMiddleware(middleware, context, final) {
+        const dispatch = async (index) => {
+            if (index === middleware.length) return final?.(context);
+
+            let called = false;
+            const next = () => {
+                if (called) throw new InternalError('next() was called multiple times by the same middleware.');
+                called = true;
+                return dispatch(index + 1);
+            };
+
+            return middleware[index](context, next);
+        };
+
+        return dispatch(0);
+    }
+
+    /**
+     * Watches `commandsPath` and `eventsPath` and reloads changed files in place.
+     * Only meant for development, enabled with the `watch` option.
+     */
+    startWatching() {
+        const targets = [
+            ['commands', this.commandsPath],
+            ['events', this.eventsPath],
+            ['components', this.componentsPath],
+        ];
+
+        for (const [kind, directory] of targets) {
+            if (!directory) continue;
+
+            const basePath = path.resolve(directory);
+            const watcher = watch(basePath, { recursive: true }, (eventType, fileName) => {
+                if (!fileName) return;
+                this.queueReload(kind, path.resolve(basePath, fileName));
+            });
+
+            watcher.on('error', (error) => this.logger.error('Watcher error', { path: basePath, error }));
+            this.watchers.push(watcher);
+            this.logger.info(`Watching ${kind} for changes`, { path: basePath });
+        }
+    }
+
+    /**
+     * Debounces reloads, editors usually emit several change events for a single save.
+     *
+     * @param {'commands'|'events'|'components'} kind - Which table the file belongs to.
+     * @param {string} file - Absolute path of the changed file.
+     */
+    queueReload(kind, file) {
+        const basePaths = { commands: this.commandsPath, events: this.eventsPath, components: this.componentsPath };
+        if (!this.isLoadable(file, basePaths[kind])) return;
+
+        clearTimeout(this.pendingReloads.get(file));
+        this.pendingReloads.set(file, setTimeout(() => {
+            this.pendingReloads.delete(file);
+
+            const reloaders = {
+                commands: this.reloadCommandFile,
+                events: this.reloadEventFile,
+                components: this.reloadComponentFile,
+            };
+            reloaders[kind].call(this, file).catch((error) => this.logger.error('Failed to reload file', { file, error }));
+        }, 100));
+    }
+
+    /**
+     * Imports a module again, bypassing the ESM cache.
+     *
+     * @param {string} file - Absolute path of the module.
+     * @returns {Promise<Object|null>} - The fresh module, or null when the file was removed.
+     */
+    async importFresh(file) {
+        const exists = await fs.stat(file).then(() => true, () => false);
+        if (!exists) return null;
+
+        this.forgetCommonJS(file);
+        return import(`file://${file}?update=${Date.now()}`);
+    }
+
+    /**
+     * Reloads a single command file and syncs the affected commands to the dev server.
+     * When the new version cannot be loaded the previous one stays active.
+     *
+     * @param {string} file - Absolute path of the changed command file.
+     */
+    async reloadCommandFile(file) {
+        const hadPrevious = this.commandModules.has(file);
+        const previous = this.commandModules.get(file);
+
+        let module;
+        try {
+            module = await this.importFresh(file);
+        } catch (error) {
+            this.logger.error('Failed to reload command, keeping the previous version', { file, error });
+            return;
+        }
+
+        this.failedCommandFiles.delete(file);
+        if (!module && !hadPrevious) return;
+
+        const before = new Map(this.getTopLevelCommands().map(commandObject => {
+            const data = this.toCommandJSON(this.getCommandData(commandObject));
+            return [this.getRegistryKey(data), JSON.stringify(data)];
+        }));
+
+        if (module) {
+            this.commandModules.set(file, getModuleExports(module, this.isCommandExport));
+        } else {
+            this.commandModules.delete(file);
+        }
+
+        try {
+            this.buildCommands();
+        } catch (error) {
+            if (hadPrevious) this.commandModules.set(file, previous);
+            else this.commandModules.delete(file);
+
+            this.logger.error('Failed to reload command, keeping the previous version', { file, error });
+            return;
+        }
+
+        this.logger.info(module ? 'Reloaded command file' : 'Removed command file', { file });
+
+        const after = new Map(this.getTopLevelCommands().map(commandObject => {
+            const data = this.toCommandJSON(this.getCommandData(commandObject));
+            return [this.getRegistryKey(data), JSON.stringify(data)];
+        }));
+        const changed = [...new Set([...before.keys(), ...after.keys()])]
+            .filter(name => before.get(name) !== after.get(name));
+
+        if (changed.length) await this.syncReloadedCommands(changed);
+    }
 
-/**
- * Class to manage event handlers.
- */
-class EventHandlers {
     /**
-     * @param {EventHandlerOptions} options - The options for the event handler.
+     * Syncs reloaded commands to the dev server, if one is configured and the client is ready.
+     *
+     * @param {string[]} commandNames - Names of the commands that changed.
      */
-    constructor(options = {}) {
-        if (!options) {
-            throw new Error("Options object is required to initialize the class.");
+    async syncReloadedCommands(commandNames) {
+        if (!this.devServer) {
+            this.logger.warn('Skipping command sync after reload, no devServer configured');
+            return;
         }
-    
-        this.client = options.client || null;
-        this.commandsPath = options.commandsPath || '';
-        this.eventsPath = options.eventsPath || '';
-        this.dbOptions = options.db || {};
-        this.devServer = options.devServer || false;
-        this.db = {};
 
-        this.init().catch((error) =>
-            console.error("Error during initialization:", error)
-        );
+        if (!this.client?.isReady?.()) return;
+
+        this.logger.info('Syncing changed commands', { commands: commandNames });
+        await this.registerCommands(this.client);
     }
 
     /**
-     * Initializes the event handlers.
+     * Reloads a single event handler file, attaching a listener if the event is new.
+     * When the new version cannot be loaded the previous one stays active.
+     *
+     * @param {string} file - Absolute path of the changed event file.
      */
-    async init() {
-        try {
-            if (this.dbOptions?.dbPath && this.dbOptions?.database) {
-                const databaseModules = await this.getObjectModules(this.dbOptions.dbPath, true);
-                this.initializeDatabases(databaseModules);
-            }
+    async reloadEventFile(file) {
+        if (!this.getEventName(file)) return;
 
-            this.eventHandler(this.client);
+        let entries;
+        try {
+            const module = await this.importFresh(file);
+            entries = getModuleExports(module, this.isEventExport).map(handler => this.createEventEntry(file, handler)).filter(Boolean);
         } catch (error) {
-            console.error("Initialization failed:", error);
+            this.logger.error('Failed to reload event handler, keeping the previous version', { file, error });
+            return;
         }
-    }
 
-    /**
-     * Initializes database connections.
-     * @param {Object} databaseModules - Loaded database modules.
-     */
-    initializeDatabases(databaseModules) {
-        for (const dbName of this.dbOptions.database) {
-            if (databaseModules[dbName]) {
-                this.db[dbName] = databaseModules[dbName];
-                if (typeof this.db[dbName].connect === 'function') {
-                    this.db[dbName].connect();
-                } else {
-                    console.warn(`Database module ${dbName} lacks a 'connect' method.`);
-                }
-            } else {
-                console.warn(`Database ${dbName} not found in provided modules.`);
+        // The file may have moved to another event or emitter, drop it everywhere first
+        for (const [key, others] of this.events) {
+            this.events.set(key, others.filter(other => other.file !== file));
+        }
+
+        if (!entries.length) {
+            this.logger.info('Removed event handler', { file });
+            return;
+        }
+
+        for (const entry of entries) {
+            this.events.set(entry.key, this.sortEventEntries([...(this.events.get(entry.key) || []), entry]));
+            this.logger.info('Reloaded event handler', { event: entry.key, file });
+
+            try {
+                this.attachEvent(this.client, entry.key);
+            } catch (error) {
+                this.logger.error('Failed to attach event listener', { event: entry.key, error });
             }
         }
     }
 
-    async eventHandler(client) {
+    /**
+     * Reloads a single component handler file.
+     * When the new version cannot be loaded the previous one stays active.
+     *
+     * @param {string} file - Absolute path of the changed component file.
+     */
+    async reloadComponentFile(file) {
+        const others = this.components.filter(entry => entry.file !== file);
+
+        let entries;
         try {
-            // Fetch all event files and their handlers
-            const events = await this.getObjectModules(this.eventsPath);
-            console.log('Starting event handler setup...');
-            console.log('Available events:', Object.keys(events));
-            
-            // Iterate over each event and its corresponding handler files
-            for (const [eventName, eventFiles] of Object.entries(events)) {
-                // Skip events without handlers (unless it's a specific event like 'interactionCreate')
-                if (!eventFiles || eventFiles.length === 0) {
-                    if (eventName !== "interactionCreate") {
-                        console.warn(`Skipping event '${eventName}' - no handlers available.`);
-                        continue;
-                    }
-                }
-    
-                console.log(`\nProcessing event: ${eventName}`);
-                console.log(`Number of handlers: ${eventFiles.length}`);
-                // Use `once` for 'ready' event, and `on` for other events
-                const isOnce = eventName === "ready";
-                const eventMethod = isOnce ? client.once : client.on;
-    
-                console.log(`Setting up ${eventName} event with ${isOnce ? "'once'" : "'on'"} method...`);
-    
-                // Attach the event listener with the appropriate handler(s)
-                eventMethod.call(client, eventName, async (eventArg) => {
-                    try {
-                        // Special handling for interactionCreate event
-                        let commandObject = {};
-                        if (eventName === "interactionCreate") {
-                            commandObject = await this.handleCommands(client, eventArg, this.db);
-                        } else if (eventName === "ready") {
-                            // Special handling for the 'ready' event
-                            await this.registerCommands(client);
-                        }
+            const module = await this.importFresh(file);
+            entries = getModuleExports(module, this.isComponentExport).map(component => this.createComponentEntry(file, component));
+        } catch (error) {
+            this.logger.error('Failed to reload component, keeping the previous version', { file, error });
+            return;
+        }
 
-                        // Loop through event handlers and execute them
-                        for (const eventFile of eventFiles) {
-                            const funcName = Object.keys(eventFile)[0];
-                            const handler = funcName === "default" ? eventFile.default : eventFile[funcName];
-                            
-                            if (handler) {
-                                if (eventName === "interactionCreate") {
-                                    // Pass commandObject if it is an interaction event
-                                    if (await handler({ client, eventArg, command: commandObject, db: this.db })) break;
-                                    
-                                    // After handler, run the callback
-                                    if (commandObject.callback) {
-                                        await commandObject.callback({client, eventArg, command: commandObject, db:this.db});
-                                    }
-                                    continue;
-                                }
-    
-                                if (this.db) {
+        if (!entries.length) {
+            this.components = others;
+            this.logger.info('Removed component handler', { file });
+            return;
+        }
 
-                                    if (await handler({ client, eventArg, db: this.db })) break;
-                                    continue;
-                                }
-    
-                                if (await handler({ client, eventArg})) break;
-                            }
-                        }
-    
-                        // console.log(`Executed ${eventName} handler\n`);
-                    } catch (error) {
-                        console.error(`Error in ${eventName} handler :`, error);
-                    }
-                });
-    
-                console.log(`✓ Registered handler for ${eventName} (${isOnce ? "once" : "on"}).`);
+        for (const [index, entry] of entries.entries()) {
+            const duplicate = [...others, ...entries.slice(0, index)].find(other => this.isSameComponent(other.component, entry.component));
+            if (duplicate) {
+                this.logger.error(`Duplicate component custom ID in '${duplicate.file}', keeping the previous version`, { customId: String(entry.component.customId), file });
+                return;
             }
-        } catch (error) {
-            console.error("Event handler setup failed:", error);
         }
+
+        this.components = this.sortComponents([...others, ...entries].sort((a, b) => a.file.localeCompare(b.file)));
+        this.logger.info('Reloaded component handler', { customIds: entries.map(entry => String(entry.component.customId)), file });
     }
-    
 
     /**
      * Handles the execution of commands triggered by user interactions.
@@ -168,56 +2025,203 @@ class EventHandlers {
      * @param {Client} client - The Discord client instance.
      * @param {Object} interaction - The interaction object from Discord.
      * @param {Object} db - The database object to be used in command execution.
-     * @returns {Object} - The command execution result 
+     * @returns {Object|undefined} - The params for the callback (`command` and context menu targets), the command's middleware and callback.
      */
     async handleCommands(client, interaction, db) {
-        if (!interaction.isChatInputCommand()) return;
+        if (interaction.isAutocomplete?.()) {
+            await this.handleAutocomplete(client, interaction, db);
+            return;
+        }
+
+        if (!interaction.isChatInputCommand() && !interaction.isContextMenuCommand?.()) return;
+
+        const start = Date.now();
+
+        // Prefix commands come in as a message adapter
+        const fields = this.getLogFields(interaction.source === 'message' ? 'messageCreate' : 'interactionCreate', interaction);
+
+        // Find the command object matching the interaction, errors from here on go to `handleError()`
+        const commandObject = this.findCommand(interaction);
+
+        // Check if the commandObject exists before proceeding
+        if (!commandObject) {
+            this.logger.warn('Command not found', fields);
+            return;  // Early exit if commandObject is not found
+        }
+
+        const check = this.checkPermissions(interaction, commandObject);
+        if (!check.allowed) {
+            this.metrics?.record('command', fields.command, 'denied', Date.now() - start);
+            this.logger.debug('Command denied', { ...fields, reason: check.reason });
+            await interaction.reply({ content: check.message, flags: EPHEMERAL });
+            return;
+        }
+
+        const remaining = await this.checkCooldown(interaction, commandObject);
+        if (remaining > 0) {
+            this.metrics?.record('command', fields.command, 'denied', Date.now() - start);
+            const message = this.messages.cooldown;
+            await interaction.reply({
+                content: typeof message === 'function' ? message({ interaction, command: commandObject, remaining }) : message,
+                flags: EPHEMERAL,
+            });
+            return;
+        }
+
+        // Resolve the target of context menu commands into the callback params
+        const targets = interaction.isUserContextMenuCommand?.()
+            ? { targetUser: interaction.targetUser, targetMember: interaction.targetMember }
+            : interaction.isMessageContextMenuCommand?.()
+                ? { targetMessage: interaction.targetMessage }
+                : {};
+
+        // Return the params for the callback, the command's middleware and the callback
+        return {
+            context: { command: commandObject, ...targets },
+            scope: this.scopes.get(commandObject),
+            middleware: commandObject.middleware || [],
+            callback: commandObject.callback || commandObject.execute,
+        };
+    }
     
+
+    /**
+     * Runs chat input commands from messages starting with the `prefix` option, like `!ban @user spam`.
+     * The arguments are coerced to the declared options and the command gets a `MessageCommandAdapter`
+     * as `eventArg`, so `reply()` and `options.getUser()` work like they do for interactions.
+     * Commands can opt out with `prefix: false`.
+     *
+     * @param {Client} client - The Discord client instance.
+     * @param {Object} message - The message from Discord.
+     * @returns {Promise<Object|undefined>} - The params for the callback, the command's middleware and the callback.
+     */
+    async handlePrefixCommand(client, message) {
+        if (message.author?.bot || message.webhookId || typeof message.content !== 'string') return;
+
+        const prefix = (await this.resolvePrefixes(message)).find(candidate => message.content.startsWith(candidate));
+        if (prefix === undefined) return;
+
+        const tokens = tokenize(message.content.slice(prefix.length));
+        const commandName = tokens.shift()?.toLowerCase();
+        const topLevel = commandName && this.commands.get(commandName);
+        if (!topLevel || topLevel.deleted || topLevel.prefix === false) return;
+
+        const data = this.toCommandJSON(this.getCommandData(topLevel));
+        if ((data.type ?? 1) !== 1) return;
+
+        let resolved;
+        let usage = formatUsage(prefix, commandName, data.options || []);
         try {
-            // Load and locate the command
-            const localCommands = await this.getModules("src/commands");
-            const commandsList = Object.values(localCommands).flat();
-    
-            // Find the command object matching the interaction
-            const commandObject = commandsList.find(cmd => cmd.command.name === interaction.commandName);
-            
-            // Check if the commandObject exists before proceeding
-            if (!commandObject) {
-                console.error(`Command '${interaction.commandName}' not found.`);
-                return;  // Early exit if commandObject is not found
-            }
-            
-            // this.checkPermissions(interaction, commandObject)
-
-            // Prepare database objects if required
-            if (commandObject.db) {
-                // Only collect db objects that are needed by the command
-                db = commandObject.db.reduce((acc, dbName) => {
-                    if (db[dbName]) acc[dbName] = db[dbName];
-                    return acc;
-                }, {});
-            }
-    
-            console.log(`\nCommand '${commandObject.command.name}' executed successfully.`);
-    
-            // Return both command and callback
-            return { command: commandObject.command, callback: commandObject.callback };
-    
+            const { group, subcommand, options } = resolveSubcommand(data, tokens);
+            usage = formatUsage(prefix, [commandName, group, subcommand].filter(Boolean).join(' '), options);
+
+            resolved = new MessageOptionResolver(await parseArguments(options, tokens, message), { group, subcommand });
         } catch (error) {
-            console.error(`Command execution error for '${interaction.commandName}':`, error);
-    
-            try {
-                const replyMethod = interaction.replied || interaction.deferred ? 'editReply' : 'reply';
-                await interaction[replyMethod]({
-                    content: 'An error occurred while executing the command.',
-                    ephemeral: true,
+            if (!(error instanceof ArgumentError)) throw error;
+
+            const reply = this.messages.invalidArguments;
+            await message.reply(typeof reply === 'function' ? reply({ interaction: message, command: topLevel, error: error.message, usage }) : reply);
+            return;
+        }
+
+        const adapter = new MessageCommandAdapter(message, { commandName, prefix, options: resolved });
+        if (this.findCommand(adapter)?.prefix === false) return;
+
+        const target = await this.handleCommands(client, adapter, this.db);
+        if (!target) return;
+
+        // Event handlers of messageCreate keep the message, the command sees the adapter
+        return {
+            ...target,
+            context: { ...target.context, message },
+            scope: { ...target.scope, eventArg: adapter },
+        };
+    }
+
+    /**
+     * @param {Object} message - The message from Discord.
+     * @returns {Promise<string[]>} - The prefixes that can start a command in this message, longest first.
+     */
+    async resolvePrefixes(message) {
+        const prefix = typeof this.prefix === 'function'
+            ? await this.prefix(message, { db: this.db, services: this.services })
+            : this.prefix;
+
+        return [prefix].flat().filter(Boolean).sort((a, b) => b.length - a.length);
+    }
+
+    /**
+     * Finds the component handler for a button, select menu or modal interaction.
+     * Unmatched interactions go to the `componentFallback` option when it is set.
+     *
+     * @param {Object} interaction - The component interaction from Discord.
+     * @returns {Object|undefined} - The params for the handler (`component` and the parsed `params`), its middleware and callback.
+     */
+    async handleComponents(interaction) {
+        for (const { component, match, scope } of this.components) {
+            if (component.type && !interaction[COMPONENT_TYPES[component.type]]?.()) continue;
+
+            const params = match(interaction.customId);
+            if (!params) continue;
+
+            return {
+                context: { component, params },
+                scope,
+                middleware: component.middleware || [],
+                callback: component.callback,
+            };
+        }
+
+        if (this.componentFallback) {
+            return { context: { params: {} }, callback: this.componentFallback };
+        }
+
+        this.logger.warn('No component handler found', this.getLogFields('interactionCreate', interaction));
+    }
+
+    /**
+     * Answers autocomplete interactions with the `autocomplete` export of the command.
+     * It can be a single function, or an object of functions keyed by option name.
+     * The returned choices are cut to Discord's limit of 25, and any error answers with no choices.
+     *
+     * @param {Client} client - The Discord client instance.
+     * @param {Object} interaction - The autocomplete interaction from Discord.
+     * @param {Object} db - The database object passed to the autocomplete function.
+     */
+    async handleAutocomplete(client, interaction, db) {
+        const commandObject = this.findCommand(interaction);
+        const focused = interaction.options.getFocused(true);
+
+        const autocomplete = typeof commandObject?.autocomplete === 'function'
+            ? commandObject.autocomplete
+            : commandObject?.autocomplete?.[focused.name];
+
+        let choices = [];
+        try {
+            if (autocomplete) {
+                const result = await autocomplete({
+                    client, eventArg: interaction, command: commandObject, db, services: {}, focused,
+                    ...this.scopes.get(commandObject),
                 });
-            } catch (sendError) {
-                console.error('Failed to send error message to the user:', sendError);
+                if (interaction.responded) return;
+
+                choices = (result || []).map(choice =>
+                    typeof choice === 'object' ? choice : { name: String(choice), value: choice }
+                );
+            } else {
+                this.logger.warn('No autocomplete handler for option', { ...this.getLogFields('interactionCreate', interaction), option: focused.name });
             }
+        } catch (error) {
+            this.logger.error('Autocomplete failed', { ...this.getLogFields('interactionCreate', interaction), option: focused.name, error });
+            choices = [];
+        }
+
+        try {
+            await interaction.respond(choices.slice(0, 25));
+        } catch (error) {
+            this.logger.error('Failed to respond to autocomplete', { ...this.getLogFields('interactionCreate', interaction), error });
         }
     }
-    
 
     /**
      * Recursively retrieves files and folders from a directory.
@@ -244,7 +2248,7 @@ class EventHandlers {
                     }
                 }
             } catch (error) {
-                console.error(`Error reading directory '${currentDir}':`, error);
+                this.logger.error('Error reading directory', { path: currentDir, error });
             }
         };
 
@@ -291,12 +2295,18 @@ class EventHandlers {
     /**
      * Dynamically imports modules from a specified directory, organized by main folders.
      *
+     * In object mode every named export becomes an entry keyed by its name, and a default export
+     * is keyed by its file name. With `db.keyBy: 'file'` each file is one entry keyed by its file name:
+     * its default export, or all its named exports together. The `connect`, `disconnect` and
+     * `healthCheck` functions stay top-level either way, so the database lifecycle keeps working.
+     *
      * @param {string} directory - Base directory for module search.
      * @param {boolean} [objectMode=false] - Whether to return modules as objects (keyed by their names).
      * @returns {Promise<Object>} - An object containing imported modules grouped by folder.
      */
     async getObjectModules(directory, objectMode = false) {
         const organizedFiles = await this.organizeFilesByMainFolders(directory);
+        const keyByFile = this.dbOptions.keyBy === 'file';
         const modules = {};
 
         for (const folder of organizedFiles) {
@@ -307,22 +2317,33 @@ class EventHandlers {
                     for (const file of folder.files) {
                         const modulePath = path.resolve(directory, file);
                         try {
-                            if (path.extname(modulePath) !== '.js') continue;
+                            if (!this.isLoadable(modulePath, directory)) continue;
 
                             const module = await import(`file://${modulePath}`);
-                            
-                            const moduleName = Object.keys(module)[0];
+                            const fileName = path.basename(modulePath, path.extname(modulePath));
 
-                            if (!moduleName) continue;
-
-                            if (moduleName === "default") {
-                                console.error("\n❌ Error: Module name cannot be 'default'. Skipping.\n");
-                                continue;
+                            let entries;
+                            if (keyByFile) {
+                                const exported = 'default' in module ? module.default : { ...module };
+                                entries = [
+                                    [fileName, exported],
+                                    ...DATABASE_LIFECYCLE
+                                        .filter(name => typeof exported?.[name] === 'function')
+                                        .map(name => [name, exported[name]]),
+                                ];
+                            } else {
+                                entries = Object.entries(module).map(([name, value]) => [name === 'default' ? fileName : name, value]);
                             }
 
-                            folderModules[moduleName] = module[moduleName];
+                            for (const [moduleName, value] of entries) {
+                                if (moduleName in folderModules) {
+                                    this.logger.warn(`Module name '${moduleName}' is already used, skipping`, { file: modulePath });
+                                    continue;
+                                }
+                                folderModules[moduleName] = value;
+                            }
                         } catch (error) {
-                            console.error(`Failed to load module from: ${modulePath}`, error);
+                            this.logger.error('Failed to load module', { file: modulePath, error });
                         }
                     }
                     modules[folder.folder] = folderModules;
@@ -332,20 +2353,20 @@ class EventHandlers {
                     for (const file of folder.files) {
                         const modulePath = path.resolve(directory, file);
                         try {
-                            if (path.extname(modulePath) !== '.js') continue;
+                            if (!this.isLoadable(modulePath, directory)) continue;
 
                             const module = await import(`file://${modulePath}`);
 
                             if (Object.keys(module).length === 0) continue;
                             folderModules.push(module);
                         } catch (error) {
-                            console.error(`Failed to load module from: ${modulePath}`, error);
+                            this.logger.error('Failed to load module', { file: modulePath, error });
                         }
                     }
                     modules[folder.folder] = folderModules;
                 }
             } catch (error) {
-                console.error(`Error processing folder "${folder.folder}":`, error);
+                this.logger.error('Error processing folder', { folder: folder.folder, error });
             }
         }
 
@@ -356,143 +2377,241 @@ class EventHandlers {
      * Flattens and extracts modules from an imported object structure.
      *
      * @param {string} basePath - Base directory path.
-     * @param {string} [targetFolder=null] - Optional specific folder to target.
-     * @returns {Promise<Array>} - Flattened array of modules.
+     * @returns {Promise<Array>} - Flattened array of modules, every export of every file.
      */
     async getModules(basePath) {
         const moduleObjects = await this.getObjectModules(basePath);
 
         return Object.values(moduleObjects)
-            .flatMap(modules =>
-                modules.map(module => {
-                    const moduleKey = Object.keys(module)[0];
-                    return module[moduleKey];
-                })
-            );
+            .flatMap(modules => modules.flatMap(module => getModuleExports(module)));
     }
 
     /**
      * Registers commands with the Discord application.
-     * This will check for changes to the local commands and update them on Discord accordingly.
+     * Every target (global commands and each guild) gets the set of commands scoped to it,
+     * and is overwritten in a single request when anything differs from what Discord has.
+     * Commands that no longer exist locally, or are flagged `deleted`, are removed.
+     *
+     * Nothing is synced while a command file failed to load, its commands would be deleted.
+     * Commands that break Discord's rules are left out, since Discord rejects the whole overwrite for one of them.
      *
      * @param {Client} client - The Discord client instance.
      */
     async registerCommands(client) {
+        if (this.failedCommandFiles.size) {
+            this.logger.error('Skipping the command sync, some command files failed to load and their commands would be deleted', {
+                files: [...this.failedCommandFiles],
+            });
+            return;
+        }
+
         try {
-            // Fetch local commands
-            const localCommands = await this.getModules(this.commandsPath);
-
-            if (this.devServer) {
-                console.log("🔧 Dev mode is enabled. Syncing new commands only for the test server.");
-            
-                // Fetch the test server's name and ID
-                const testServer = client.guilds.cache.get(this.devServer);
-            
-                if (!testServer) {
-                    console.error(`❌ Test server with ID "${this.devServer}" not found in the bot's guild cache.`);
-                    return;
+            const targets = this.getCommandTargets(client);
+
+            const invalid = new Map();
+            for (const commands of targets.values()) {
+                for (const commandData of commands) {
+                    const problems = validateCommandData(commandData);
+                    if (problems.length) invalid.set(this.getRegistryKey(commandData), commandData);
                 }
-            
-                console.log(`📋 Test server: ${testServer.name} (${testServer.id})`);
-            
-                // Fetch application commands for the test server
-                const applicationCommands = await this.getApplicationCommands(client, this.devServer);
-            
-                for (const localCommand of localCommands) {
-                    if (!localCommand) continue;
-            
-                    const { command, name, description, options, deleted } = localCommand;
-                    const commandData = command || { name, description, options };
-            
-                    const existingCommand = applicationCommands.cache.find(cmd => cmd.name === commandData.name);
-            
-                    if (existingCommand) {
-                        if (deleted) {
-                            await applicationCommands.delete(existingCommand.id);
-                            console.log(`🗑 Deleted command "${commandData.name}" in test server: ${testServer.name} (${testServer.id}).`);
-                            continue;
-                        }
-            
-                        if (this.areCommandsDifferent(existingCommand, commandData)) {
-                            await applicationCommands.edit(existingCommand.id, commandData);
-                            console.log(`🔁 Edited command "${commandData.name}" in test server: ${testServer.name} (${testServer.id}).`);
-                        }
-                    } else if (!deleted) {
-                        await applicationCommands.create(commandData);
-                        console.log(`👍 Registered command "${commandData.name}" in test server: ${testServer.name} (${testServer.id}).`);
-                    }
+            }
+            for (const [key, commandData] of invalid) {
+                this.logger.error('Command is invalid, leaving it out of the sync', { command: key, problems: validateCommandData(commandData) });
+            }
+
+            for (const [guildId, commands] of targets) {
+                try {
+                    await this.syncCommandTarget(client, guildId, commands.filter(commandData => !invalid.has(this.getRegistryKey(commandData))), [...invalid.values()]);
+                } catch (error) {
+                    this.logger.error('Commands sync failed', { guildId: guildId || 'global', error });
                 }
-            }else {
-                console.log("Syncing commands for all guilds where the bot is present.");
+            }
+        } catch (error) {
+            this.logger.error('Commands sync failed', { error });
+        }
+    }
 
-                // Loop through each guild where the bot is present
-                for (const guild of client.guilds.cache.values()) {
-                    console.log(`🔄 Syncing new commands for guild: ${guild.name} (${guild.id})`);
+    /**
+     * Works out which commands belong to which target, from the `scope` of each command.
+     * In dev mode every command goes to the `devServer` only.
+     *
+     * @param {Client} client - The Discord client instance.
+     * @returns {Map<string|null, Object[]>} - Command data keyed by guild ID, `null` for global commands.
+     */
+    getCommandTargets(client) {
+        const commands = this.getTopLevelCommands()
+            .filter(commandObject => !commandObject.deleted)
+            .map(commandObject => ({
+                scope: commandObject.scope || this.defaultScope,
+                data: this.toCommandJSON(this.getCommandData(commandObject)),
+            }));
 
-                    // Fetch existing application commands for the guild
-                    const applicationCommands = await guild.commands.fetch();
+        const targets = new Map();
 
-                    for (const localCommand of localCommands) {
-                        if (!localCommand) continue;
+        if (this.devServer) {
+            this.logger.info('Dev mode is enabled, syncing commands only for the test server', { guildId: this.devServer });
+            targets.set(this.devServer, commands.map(({ data }) => data));
+            return targets;
+        }
 
-                        const { command, name, description, options, deleted } = localCommand;
-                        const commandData = command || { name, description, options };
+        this.logger.info('Syncing global commands and commands for all guilds where the bot is present');
 
-                        const existingCommand = applicationCommands.find(cmd => cmd.name === commandData.name);
+        targets.set(null, commands.filter(({ scope }) => scope === 'global').map(({ data }) => data));
 
-                        if (existingCommand) {
-                            if (deleted) {
-                                await guild.commands.delete(existingCommand.id);
-                                console.log(`🗑 Deleted command "${commandData.name}" in guild "${guild.name}".`);
-                                continue;
-                            }
+        for (const guild of client.guilds.cache.values()) {
+            targets.set(guild.id, commands
+                .filter(({ scope }) => scope === 'guilds' || (Array.isArray(scope) && scope.includes(guild.id)))
+                .map(({ data }) => data));
+        }
 
-                            if (this.areCommandsDifferent(existingCommand, commandData)) {
-                                await guild.commands.edit(existingCommand.id, commandData);
-                                console.log(`🔁 Edited command "${commandData.name}" in guild "${guild.name}".`);
-                            }
-                        } else if (!deleted) {
-                            await guild.commands.create(commandData);
-                            console.log(`👍 Registered command "${commandData.name}" in guild "${guild.name}".`);
-                        }
-                    }
+        for (const { scope, data } of commands) {
+            if (!Array.isArray(scope)) continue;
+
+            for (const guildId of scope) {
+                if (!client.guilds.cache.has(guildId)) {
+                    this.logger.warn('Command is scoped to a guild the bot is not in', { command: data.name, guildId });
                 }
             }
-        } catch (error) {
-            console.error(`Commands sync error: ${error.message}`);
         }
+
+        return targets;
     }
 
+    /**
+     * Overwrites the commands of one target when they differ from the local commands.
+     * A target is left alone when one of the `invalid` commands is registered there, the overwrite would delete it.
+     *
+     * @param {Client} client - The Discord client instance.
+     * @param {string|null} guildId - The guild to sync, or `null` for global commands.
+     * @param {Object[]} commands - The command data that should be registered.
+     * @param {Object[]} [invalid] - Local commands that cannot be registered.
+     */
+    async syncCommandTarget(client, guildId, commands, invalid = []) {
+        const applicationCommands = await this.getApplicationCommands(client, guildId);
+        const label = guildId ? `guild ${applicationCommands.guild?.name || guildId} (${guildId})` : 'global commands';
+        const existingCommands = applicationCommands.cache;
+
+        const kept = existingCommands.filter(cmd => invalid.some(commandData => this.isSameCommand(cmd, commandData)));
+        if (kept.size) {
+            this.logger.error(`Skipping the command sync for ${label}, invalid commands are registered there and would be deleted`, {
+                guildId: guildId || 'global',
+                commands: [...kept.values()].map(cmd => cmd.name),
+            });
+            return;
+        }
+
+        const changed = commands.filter(commandData => {
+            const existingCommand = existingCommands.find(cmd => this.isSameCommand(cmd, commandData));
+            return !existingCommand || this.areCommandsDifferent(existingCommand, commandData);
+        });
+        const removed = existingCommands.filter(cmd => !commands.some(commandData => this.isSameCommand(cmd, commandData)));
+
+        if (!changed.length && !removed.size) {
+            this.logger.info(`Commands are up to date for ${label}`, { guildId: guildId || 'global' });
+            return;
+        }
+
+        await applicationCommands.set(commands);
+
+        this.logger.info(`Synced commands for ${label}`, {
+            guildId: guildId || 'global',
+            registered: changed.map(commandData => commandData.name),
+            deleted: [...removed.values()].map(cmd => cmd.name),
+        });
+    }
 
     /**
-     * Compares two commands to see if they are different (in terms of description, options, or choices).
+     * Compares two commands to see if they are different, over every field Discord stores.
+     * Both sides are normalized first, so Discord's defaults and builders do not cause false edits.
      *
      * @param {Object} existingCommand - The existing command from Discord.
-     * @param {Object} localCommand - The local command to compare.
+     * @param {Object} localCommand - The local command to compare, plain data or a builder.
      * @returns {boolean} - Returns true if the commands are different.
      */
     areCommandsDifferent(existingCommand, localCommand) {
-        const areChoicesDifferent = (existingChoices = [], localChoices = []) =>
-            localChoices.some(localChoice => {
-                const existingChoice = existingChoices.find(choice => choice.name === localChoice.name);
-                return !existingChoice || localChoice.value !== existingChoice.value;
-            });
+        const existing = this.normalizeCommand(existingCommand);
+        const local = this.normalizeCommand(localCommand);
 
-        const areOptionsDifferent = (existingOptions = [], localOptions = []) =>
-            localOptions.some(localOption => {
-                const existingOption = existingOptions.find(option => option.name === localOption.name);
-                return !existingOption ||
-                    localOption.description !== existingOption.description ||
-                    localOption.type !== existingOption.type ||
-                    (localOption.required || false) !== existingOption.required ||
-                    (localOption.choices?.length || 0) !== (existingOption.choices?.length || 0) ||
-                    areChoicesDifferent(localOption.choices, existingOption.choices);
-            });
+        // Guild commands ignore these, and Discord fills them in from the app settings when they are not set
+        for (const key of ['contexts', 'integration_types']) {
+            if (existingCommand.guildId || local[key] === null) local[key] = existing[key];
+        }
+        if (existingCommand.guildId) local.dm_permission = existing.dm_permission;
+
+        return !isDeepStrictEqual(existing, local);
+    }
+
+    /**
+     * Turns a command into a canonical form with Discord's defaults applied. Accepts API data (snake_case),
+     * discord.js `ApplicationCommand` objects (camelCase) and builders.
+     *
+     * @param {Object} command - The command to normalize.
+     * @returns {Object} - The canonical command.
+     */
+    normalizeCommand(command) {
+        const data = this.toCommandJSON(command) || {};
+        const pick = (snake, camel) => data[snake] ?? data[camel];
+        const type = data.type ?? 1;
+        const permissions = pick('default_member_permissions', 'defaultMemberPermissions');
+
+        return {
+            type,
+            name: data.name,
+            name_localizations: this.normalizeLocalizations(pick('name_localizations', 'nameLocalizations')),
+            description: type === 1 ? data.description ?? '' : '',
+            description_localizations: type === 1
+                ? this.normalizeLocalizations(pick('description_localizations', 'descriptionLocalizations'))
+                : null,
+            options: type === 1 ? (data.options || []).map(option => this.normalizeOption(option)) : [],
+            default_member_permissions: permissions == null ? null : String(permissions.bitfield ?? permissions),
+            dm_permission: pick('dm_permission', 'dmPermission') ?? true,
+            nsfw: Boolean(data.nsfw),
+            contexts: data.contexts ? [...data.contexts].sort() : null,
+            integration_types: pick('integration_types', 'integrationTypes')
+                ? [...pick('integration_types', 'integrationTypes')].sort()
+                : null,
+        };
+    }
+
+    /**
+     * Canonical form of a command option, see `normalizeCommand`.
+     *
+     * @param {Object} option - The option to normalize.
+     * @returns {Object} - The canonical option.
+     */
+    normalizeOption(option) {
+        const data = this.toCommandJSON(option) || {};
+        const pick = (snake, camel) => data[snake] ?? data[camel];
+
+        return {
+            type: data.type,
+            name: data.name,
+            name_localizations: this.normalizeLocalizations(pick('name_localizations', 'nameLocalizations')),
+            description: data.description ?? '',
+            description_localizations: this.normalizeLocalizations(pick('description_localizations', 'descriptionLocalizations')),
+            required: Boolean(data.required),
+            autocomplete: Boolean(data.autocomplete),
+            choices: (data.choices || []).map(choice => ({
+                name: choice.name,
+                name_localizations: this.normalizeLocalizations(choice.name_localizations ?? choice.nameLocalizations),
+                value: choice.value,
+            })),
+            options: (data.options || []).map(subOption => this.normalizeOption(subOption)),
+            channel_types: [...(pick('channel_types', 'channelTypes') || [])].sort(),
+            min_value: pick('min_value', 'minValue') ?? null,
+            max_value: pick('max_value', 'maxValue') ?? null,
+            min_length: pick('min_length', 'minLength') ?? null,
+            max_length: pick('max_length', 'maxLength') ?? null,
+        };
+    }
 
-        // Compare command description, options, and choices
-        return existingCommand.description !== localCommand.description ||
-            existingCommand.options?.length !== (localCommand.options?.length || 0) ||
-            areOptionsDifferent(existingCommand.options, localCommand.options);
+    /**
+     * @param {Object|null} [localizations] - Localizations keyed by locale.
+     * @returns {Object|null} - The localizations without empty values, or null when there are none.
+     */
+    normalizeLocalizations(localizations) {
+        const entries = Object.entries(localizations || {}).filter(([, value]) => value != null);
+        return entries.length ? Object.fromEntries(entries) : null;
     }
 
     /**
@@ -507,7 +2626,7 @@ class EventHandlers {
 
         if (guildId) {
             // Fetch commands for a specific guild
-            const guild = await client.guilds.fetch(guildId);
+            const guild = client.guilds.cache.get(guildId) || await client.guilds.fetch(guildId);
             applicationCommands = guild.commands;
         } else {
             // Fetch global commands
@@ -536,50 +2655,118 @@ class EventHandlers {
 
 
     
-    // /**
-    //  * Checks if a user and bot meet the required permissions for a command.
-    //  * 
-    //  * @param {Object} interaction - The interaction object from Discord.
-    //  * @param {Object} commandObject - The command object containing permission requirements.
-    //  * @returns {Object} - An object indicating whether the check passed and an optional message.
-    //  */
-    // checkPermissions(interaction, commandObject) {
-    //     const { member, guild } = interaction;
-
-    //     // Dev-only check
-    //     if (commandObject.devOnly && !this.devServer.devs.includes(member.id)) {
-    //         return { allowed: false, message: 'Only developers are allowed to run this command.' };
-    //     }
-
-    //     // Test server check
-    //     if (commandObject.testOnly && guild.id !== this.devServer.testServer) {
-    //         return { allowed: false, message: 'This command cannot be run here.' };
-    //     }
-
-    //     // User permissions check
-    //     if (commandObject.permissionsRequired?.length) {
-    //         const missingPermission = commandObject.permissionsRequired.find(
-    //             permission => !member.permissions.has(permission)
-    //         );
-    //         if (missingPermission) {
-    //             return { allowed: false, message: `You lack the required permission: ${missingPermission}.` };
-    //         }
-    //     }
-
-    //     // Bot permissions check
-    //     if (commandObject.botPermissions?.length) {
-    //         const bot = guild.members.me;
-    //         const missingBotPermission = commandObject.botPermissions.find(
-    //             permission => !bot.permissions.has(permission)
-    //         );
-    //         if (missingBotPermission) {
-    //             return { allowed: false, message: `I am missing the required permission: ${missingBotPermission}.` };
-    //         }
-    //     }
-
-    //     return { allowed: true };
-    // }
+    /**
+     * Checks if a user and bot meet the requirements declared on a command.
+     *
+     * @param {Object} interaction - The interaction object from Discord.
+     * @param {Object} commandObject - The command object containing permission requirements.
+     * @returns {{allowed: boolean, reason?: string, message?: string}} - Whether the check passed, the failed guard and its denial message.
+     */
+    checkPermissions(interaction, commandObject) {
+        const deny = (reason, missing = []) => {
+            const message = this.messages[reason];
+            return {
+                allowed: false,
+                reason,
+                message: typeof message === 'function' ? message({ interaction, command: commandObject, missing }) : message,
+            };
+        };
+
+        const inGuild = interaction.inGuild ? interaction.inGuild() : Boolean(interaction.guildId);
+
+        // Dev-only check
+        if (commandObject.devOnly && !this.dev.devs.includes(interaction.user?.id)) {
+            return deny('devOnly');
+        }
+
+        // Test server check
+        if (commandObject.testOnly && interaction.guildId !== (this.dev.testServer || this.devServer)) {
+            return deny('testOnly');
+        }
+
+        if (commandObject.guildOnly && !inGuild) {
+            return deny('guildOnly');
+        }
+
+        if (commandObject.dmOnly && inGuild) {
+            return deny('dmOnly');
+        }
+
+        // User permissions check
+        if (commandObject.permissionsRequired?.length) {
+            if (!inGuild) return deny('guildOnly');
+
+            const permissions = interaction.memberPermissions || interaction.member?.permissions;
+            const missing = commandObject.permissionsRequired.filter(permission => !permissions?.has(permission));
+            if (missing.length) return deny('permissionsRequired', missing.map(String));
+        }
+
+        // Bot permissions check
+        if (commandObject.botPermissions?.length && inGuild) {
+            const permissions = interaction.appPermissions || interaction.guild?.members.me?.permissions;
+            const missing = commandObject.botPermissions.filter(permission => !permissions?.has(permission));
+            if (missing.length) return deny('botPermissions', missing.map(String));
+        }
+
+        if (commandObject.allowedRoles?.length) {
+            const roles = interaction.member?.roles;
+            const roleIds = Array.isArray(roles) ? roles : [...(roles?.cache?.keys() || [])];
+            if (!commandObject.allowedRoles.some(roleId => roleIds.includes(roleId))) {
+                return deny('allowedRoles');
+            }
+        }
+
+        if (commandObject.allowedChannels?.length && !commandObject.allowedChannels.includes(interaction.channelId)) {
+            return deny('allowedChannels');
+        }
+
+        return { allowed: true };
+    }
+
+    /**
+     * Checks the cooldown declared on a command and records the use when it is allowed.
+     *
+     * @param {Object} interaction - The interaction object from Discord.
+     * @param {Object} commandObject - The command object containing the cooldown.
+     * @returns {Promise<number>} - Milliseconds until the command can be used again, 0 when it can run now.
+     */
+    async checkCooldown(interaction, commandObject) {
+        if (!commandObject.cooldown) return 0;
+
+        const cooldown = typeof commandObject.cooldown === 'number'
+            ? { duration: commandObject.cooldown }
+            : commandObject.cooldown;
+        const { duration, scope = 'user', limit = 1 } = cooldown;
+        if (!duration) return 0;
+
+        const scopeIds = {
+            user: interaction.user?.id,
+            member: `${interaction.guildId || 'dm'}:${interaction.user?.id}`,
+            channel: interaction.channelId,
+            guild: interaction.guildId || `dm:${interaction.channelId}`,
+            global: 'global',
+        };
+
+        if (!(scope in scopeIds)) {
+            throw new InternalError(`Unknown cooldown scope '${scope}' on command '${interaction.commandName}'.`);
+        }
+
+        const key = `${this.getCommandKey(interaction)}:${scope}:${scopeIds[scope]}`;
+        const now = Date.now();
+        const uses = ((await this.cooldownStore.get(key)) || []).filter(timestamp => timestamp > now - duration);
+
+        if (uses.length >= limit) {
+            return uses[0] + duration - now;
+        }
+
+        uses.push(now);
+        await this.cooldownStore.set(key, uses, duration);
+        return 0;
+    }
 }
 export {
-    EventHandlers
+    EventHandlers,
+    MemoryCooldownStore,
+    UserError,
+    InternalError
 }
\ No newline at end of file
@@ -0,0 +1,73 @@
+/**
+ * Default cooldown store, keeps cooldowns in process memory.
+ *
+ * Any object with the same `get`, `set` and `delete` methods can be passed as
+ * the `cooldownStore` option instead, for example one backed by a database module.
+ * The methods may return promises.
+ */
+class MemoryCooldownStore {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.sweepInterval=60000] - How often expired entries are removed, in milliseconds.
+     */
+    constructor({ sweepInterval = 60_000 } = {}) {
+        this.entries = new Map();
+
+        this.sweeper = setInterval(() => this.sweep(), sweepInterval);
+        this.sweeper.unref?.();
+    }
+
+    /**
+     * @param {string} key - The cooldown key.
+     * @returns {number[]|undefined} - Timestamps of the uses inside the current window.
+     */
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return;
+
+        if (entry.expiresAt <= Date.now()) {
+            this.entries.delete(key);
+            return;
+        }
+
+        return entry.value;
+    }
+
+    /**
+     * @param {string} key - The cooldown key.
+     * @param {number[]} value - Timestamps of the uses inside the current window.
+     * @param {number} ttl - Time in milliseconds after which the entry can be dropped.
+     */
+    set(key, value, ttl) {
+        this.entries.set(key, { value, expiresAt: Date.now() + ttl });
+    }
+
+    /**
+     * @param {string} key - The cooldown key.
+     */
+    delete(key) {
+        this.entries.delete(key);
+    }
+
+    /**
+     * Removes every expired entry.
+     */
+    sweep() {
+        const now = Date.now();
+        for (const [key, entry] of this.entries) {
+            if (entry.expiresAt <= now) this.entries.delete(key);
+        }
+    }
+
+    /**
+     * Stops the sweep timer.
+     */
+    destroy() {
+        clearInterval(this.sweeper);
+        this.entries.clear();
+    }
+}
+
+export {
+    MemoryCooldownStore
+}
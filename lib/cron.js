@@ -0,0 +1,161 @@
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// The five fields of a cron expression, in order
+const FIELDS = [
+    { key: 'minutes', label: 'minute', min: 0, max: 59 },
+    { key: 'hours', label: 'hour', min: 0, max: 23 },
+    { key: 'days', label: 'day of month', min: 1, max: 31 },
+    { key: 'months', label: 'month', min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+    { key: 'weekdays', label: 'day of week', min: 0, max: 7, names: DAY_NAMES, offset: 0 },
+];
+
+const MACROS = {
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *',
+    '@monthly': '0 0 1 * *',
+    '@weekly': '0 0 * * 0',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@hourly': '0 * * * *',
+};
+
+// How far ahead `getNextRun` looks before deciding an expression never matches
+const SEARCH_LIMIT = 5 * 366 * 24 * 60 * 60 * 1000;
+
+/**
+ * Parses a standard five field cron expression (`minute hour day-of-month month day-of-week`).
+ *
+ * Supports `*`, lists (`1,15`), ranges (`1-5`), steps (`*\/10`, `0-30/5`), month and day
+ * names (`jan`, `mon-fri`), `7` for Sunday and the `@hourly`, `@daily`, `@weekly`,
+ * `@monthly` and `@yearly` macros. Like cron, when both day fields are restricted a day
+ * matching either of them matches.
+ *
+ * @param {string} expression - The cron expression.
+ * @returns {{minutes: Set<number>, hours: Set<number>, days: Set<number>, months: Set<number>, weekdays: Set<number>, anyDay: boolean, anyWeekday: boolean}}
+ * @throws {Error} When the expression is invalid.
+ */
+function parseCron(expression) {
+    if (typeof expression !== 'string') throw new Error('A cron expression must be a string.');
+
+    const source = MACROS[expression.trim().toLowerCase()] || expression;
+    const parts = source.trim().split(/\s+/);
+    if (parts.length !== FIELDS.length) {
+        throw new Error(`Invalid cron expression '${expression}', expected ${FIELDS.length} fields (minute hour day month weekday).`);
+    }
+
+    const schedule = {};
+    FIELDS.forEach((field, index) => {
+        schedule[field.key] = parseField(parts[index], field, expression);
+    });
+
+    // 7 is Sunday as well
+    if (schedule.weekdays.delete(7)) schedule.weekdays.add(0);
+
+    schedule.anyDay = parts[2] === '*' || parts[2] === '?';
+    schedule.anyWeekday = parts[4] === '*' || parts[4] === '?';
+
+    return schedule;
+}
+
+/**
+ * @param {string} part - One field of the expression.
+ * @param {Object} field - The field definition from `FIELDS`.
+ * @param {string} expression - The whole expression, for error messages.
+ * @returns {Set<number>} - The values the field allows.
+ */
+function parseField(part, field, expression) {
+    const values = new Set();
+    const fail = () => {
+        throw new Error(`Invalid ${field.label} '${part}' in cron expression '${expression}', values go from ${field.min} to ${field.max}.`);
+    };
+
+    for (const item of part.toLowerCase().split(',')) {
+        const [range, stepText] = item.split('/');
+        const step = stepText === undefined ? 1 : Number(stepText);
+        if (!Number.isInteger(step) || step < 1) fail();
+
+        let start;
+        let end;
+        if (range === '*' || range === '?') {
+            [start, end] = [field.min, field.max];
+        } else {
+            const bounds = range.split('-').map(value => parseValue(value, field));
+            if (bounds.length > 2 || bounds.some(Number.isNaN)) fail();
+
+            start = bounds[0];
+            // `5/15` runs from 5 to the end of the range
+            end = bounds[1] ?? (stepText === undefined ? start : field.max);
+        }
+
+        if (start < field.min || end > field.max || start > end) fail();
+        for (let value = start; value <= end; value += step) values.add(value);
+    }
+
+    return values;
+}
+
+/**
+ * @param {string} value - A number, or a month or day name.
+ * @param {Object} field - The field definition from `FIELDS`.
+ * @returns {number} - The numeric value, NaN when it is not valid.
+ */
+function parseValue(value, field) {
+    const nameIndex = field.names?.indexOf(value) ?? -1;
+    if (nameIndex !== -1) return nameIndex + field.offset;
+
+    return /^\d+$/.test(value) ? Number(value) : NaN;
+}
+
+/**
+ * Finds the next minute a parsed cron expression matches, in local time.
+ *
+ * @param {Object} schedule - The result of `parseCron()`.
+ * @param {Date} [from=new Date()] - The next run is strictly after this moment.
+ * @returns {Date|null} - The next run, null when the expression never matches (e.g. `0 0 30 2 *`).
+ */
+function getNextRun(schedule, from = new Date()) {
+    const date = new Date(from);
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+
+    const limit = from.getTime() + SEARCH_LIMIT;
+
+    while (date.getTime() <= limit) {
+        if (!schedule.months.has(date.getMonth() + 1)) {
+            date.setMonth(date.getMonth() + 1, 1);
+            date.setHours(0, 0);
+        } else if (!matchesDay(schedule, date)) {
+            date.setDate(date.getDate() + 1);
+            date.setHours(0, 0);
+        } else if (!schedule.hours.has(date.getHours())) {
+            date.setHours(date.getHours() + 1, 0);
+        } else if (!schedule.minutes.has(date.getMinutes())) {
+            date.setMinutes(date.getMinutes() + 1);
+        } else {
+            return date;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * @param {Object} schedule - The result of `parseCron()`.
+ * @param {Date} date - The day to check.
+ * @returns {boolean} - Whether the day of month and day of week fields allow the day.
+ */
+function matchesDay(schedule, date) {
+    const day = schedule.days.has(date.getDate());
+    const weekday = schedule.weekdays.has(date.getDay());
+
+    if (schedule.anyDay && schedule.anyWeekday) return true;
+    if (schedule.anyDay) return weekday;
+    if (schedule.anyWeekday) return day;
+    return day || weekday;
+}
+
+export {
+    parseCron,
+    getNextRun
+}
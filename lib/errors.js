@@ -0,0 +1,41 @@
+/**
+ * An error meant for the user. Throw it from a command, component or middleware
+ * and its message is sent as the reply instead of the generic error message.
+ *
+ * @example
+ * if (amount > balance) throw new UserError('You do not have enough coins.');
+ */
+class UserError extends Error {
+    /**
+     * @param {string} message - Shown to the user.
+     * @param {Object} [options]
+     * @param {boolean} [options.ephemeral=true] - Only show the reply to the user who ran the command.
+     * @param {*} [options.cause] - The original error.
+     */
+    constructor(message, { ephemeral = true, cause } = {}) {
+        super(message, { cause });
+        this.name = 'UserError';
+        this.ephemeral = ephemeral;
+    }
+}
+
+/**
+ * An error that is never shown to the user, the reply uses the generic error message.
+ * The handler throws it for its own failures, commands can use it to make that explicit.
+ */
+class InternalError extends Error {
+    /**
+     * @param {string} message - Only logged.
+     * @param {Object} [options]
+     * @param {*} [options.cause] - The original error.
+     */
+    constructor(message, { cause } = {}) {
+        super(message, { cause });
+        this.name = 'InternalError';
+    }
+}
+
+export {
+    UserError,
+    InternalError
+}
@@ -0,0 +1,128 @@
+import path from 'path';
+
+const DEFAULT_EXTENSIONS = ['.js', '.mjs', '.cjs'];
+
+/**
+ * Converts a glob pattern to a regular expression.
+ *
+ * Supports `*` (anything except `/`), `**` (any number of folders), `?` (one character)
+ * and `{a,b}` (alternatives). Patterns without a `/` match the file name in any folder,
+ * so `_*` skips every file starting with an underscore.
+ *
+ * @param {string} glob - The pattern, with `/` as separator.
+ * @returns {RegExp} - Matches paths relative to the loaded folder.
+ */
+function globToRegExp(glob) {
+    const pattern = glob.includes('/') ? glob.replace(/^\.?\//, '') : `**/${glob}`;
+    let source = '';
+
+    for (let index = 0; index < pattern.length; index++) {
+        const char = pattern[index];
+
+        if (char === '*' && pattern[index + 1] === '*') {
+            // `**/` also matches no folder at all
+            if (pattern[index + 2] === '/') {
+                source += '(?:.*/)?';
+                index += 2;
+            } else {
+                source += '.*';
+                index += 1;
+            }
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '{') {
+            const end = pattern.indexOf('}', index);
+            if (end === -1) {
+                source += '\\{';
+                continue;
+            }
+            const alternatives = pattern.slice(index + 1, end).split(',').map(escapeRegExp);
+            source += `(?:${alternatives.join('|')})`;
+            index = end;
+        } else {
+            source += escapeRegExp(char);
+        }
+    }
+
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * @param {string} text - Literal text.
+ * @returns {string} - The text with regular expression characters escaped.
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.+^${}()|[\]\\*?]/g, '\\$&');
+}
+
+/**
+ * Builds the check deciding which files in a folder are loaded.
+ *
+ * @param {Object} [options]
+ * @param {string[]} [options.extensions] - File extensions to load, defaults to `.js`, `.mjs` and `.cjs`.
+ * @param {string[]} [options.include] - Only load files matching one of these globs.
+ * @param {string[]} [options.exclude] - Skip files matching one of these globs.
+ * @returns {(relativePath: string) => boolean} - Receives the path relative to the loaded folder.
+ */
+function createFileFilter({ extensions = DEFAULT_EXTENSIONS, include = [], exclude = [] } = {}) {
+    const included = [include].flat().map(globToRegExp);
+    const excluded = [exclude].flat().map(globToRegExp);
+
+    return (relativePath) => {
+        const file = relativePath.split(path.sep).join('/');
+
+        if (!extensions.includes(path.extname(file))) return false;
+        if (included.length && !included.some(pattern => pattern.test(file))) return false;
+        return !excluded.some(pattern => pattern.test(file));
+    };
+}
+
+/**
+ * @param {*} value - Any value.
+ * @returns {boolean} - Whether the value is a plain object literal, not a function, array, class instance or primitive.
+ */
+function isPlainObject(value) {
+    if (typeof value !== 'object' || value === null) return false;
+
+    const prototype = Object.getPrototypeOf(value);
+    return prototype === Object.prototype || prototype === null;
+}
+
+/**
+ * Returns the entries a module exports. A default export is used on its own (an array
+ * default export gives several). Otherwise only the named exports passing `isEntry` count,
+ * so helper functions and constants next to a command are left alone.
+ *
+ * A default export that is an object of entries, like CommonJS `exports.a = ...; exports.b = ...`,
+ * gives each of them.
+ *
+ * @param {Object} module - The imported module namespace.
+ * @param {(value: *) => boolean} [isEntry] - Whether an export is a command, event handler, component...
+ * @returns {Array<*>} - The exported entries, in order.
+ */
+function getModuleExports(module, isEntry = () => true) {
+    if (!module) return [];
+
+    if ('default' in module) {
+        const exported = module.default;
+
+        if (isPlainObject(exported) && !isEntry(exported)) {
+            const entries = Object.values(exported).filter(isEntry);
+            if (entries.length) return entries;
+        }
+
+        return [exported].flat().filter(value => value != null);
+    }
+
+    return Object.values(module).filter(isEntry);
+}
+
+export {
+    DEFAULT_EXTENSIONS,
+    globToRegExp,
+    createFileFilter,
+    isPlainObject,
+    getModuleExports
+}
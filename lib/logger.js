@@ -0,0 +1,62 @@
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+
+/**
+ * Default output, writes to the console with the fields after the message.
+ */
+const consoleLogger = {
+    debug: (message, fields) => console.debug(format(message), ...withFields(fields)),
+    info: (message, fields) => console.info(format(message), ...withFields(fields)),
+    warn: (message, fields) => console.warn(format(message), ...withFields(fields)),
+    error: (message, fields) => console.error(format(message), ...withFields(fields)),
+};
+
+/**
+ * @param {string} message - The log message.
+ * @returns {string} - The message with the library name in front.
+ */
+function format(message) {
+    return `[eventHandlers] ${message}`;
+}
+
+/**
+ * @param {Object} fields - Structured fields of the entry.
+ * @returns {Array<Object>} - The fields as extra console argument, nothing when there are none.
+ */
+function withFields(fields) {
+    return fields && Object.keys(fields).length ? [fields] : [];
+}
+
+/**
+ * Wraps a logger so entries below `level` are dropped before they reach it.
+ *
+ * Any object with `debug`, `info`, `warn` and `error` methods works (console, winston...),
+ * every method is called as `logger[level](message, fields)`. Missing methods are skipped.
+ *
+ * @param {Object} [logger] - Where entries go, defaults to the console.
+ * @param {'debug'|'info'|'warn'|'error'|'silent'} [level='warn'] - The lowest level that is logged.
+ * @returns {{debug: Function, info: Function, warn: Function, error: Function}} - Receives `(message, fields)`.
+ */
+function createLogger(logger = consoleLogger, level = 'warn') {
+    const threshold = LOG_LEVELS.indexOf(level);
+    if (threshold === -1) {
+        throw new Error(`Unknown log level '${level}'. Use one of: ${LOG_LEVELS.join(', ')}.`);
+    }
+
+    const entry = (method) => (message, fields = {}) => {
+        if (LOG_LEVELS.indexOf(method) < threshold) return;
+        logger[method]?.(message, fields);
+    };
+
+    return {
+        level,
+        debug: entry('debug'),
+        info: entry('info'),
+        warn: entry('warn'),
+        error: entry('error'),
+    };
+}
+
+export {
+    LOG_LEVELS,
+    createLogger
+}
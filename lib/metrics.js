@@ -0,0 +1,174 @@
+import http from 'http';
+
+// Upper bounds of the latency buckets, in seconds
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const OUTCOMES = ['success', 'denied', 'error'];
+
+/**
+ * Counters and latency histograms for commands, events and scheduled tasks, kept in process memory.
+ */
+class MetricsRegistry {
+    /**
+     * @param {Object} [options]
+     * @param {number[]} [options.buckets] - Upper bounds of the latency buckets in seconds.
+     */
+    constructor({ buckets = DEFAULT_BUCKETS } = {}) {
+        this.buckets = [...buckets].sort((a, b) => a - b);
+
+        /**
+         * Series keyed by kind, then by `name` and outcome.
+         * @type {{command: Map<string, Object>, event: Map<string, Object>, task: Map<string, Object>}}
+         */
+        this.series = { command: new Map(), event: new Map(), task: new Map() };
+    }
+
+    /**
+     * Records one handled command or event, or one task run.
+     *
+     * @param {'command'|'event'|'task'} kind - What was handled.
+     * @param {string} name - The command key, event name or task name.
+     * @param {'success'|'denied'|'error'} outcome - How it ended, `denied` when a guard, cooldown or middleware stopped it.
+     * @param {number} duration - How long it took, in milliseconds.
+     */
+    record(kind, name, outcome, duration) {
+        const byName = this.series[kind];
+        if (!byName) throw new Error(`Unknown metrics kind '${kind}'.`);
+
+        if (!byName.has(name)) {
+            byName.set(name, Object.fromEntries(OUTCOMES.map(key => [key, this.createHistogram()])));
+        }
+
+        const histogram = byName.get(name)[outcome];
+        const seconds = duration / 1000;
+
+        histogram.count++;
+        histogram.sum += seconds;
+        this.buckets.forEach((bound, index) => {
+            if (seconds <= bound) histogram.buckets[index]++;
+        });
+    }
+
+    /**
+     * @returns {{count: number, sum: number, buckets: number[]}} - An empty histogram.
+     */
+    createHistogram() {
+        return { count: 0, sum: 0, buckets: this.buckets.map(() => 0) };
+    }
+
+    /**
+     * Summarizes the recorded series.
+     *
+     * @param {'command'|'event'|'task'} kind - Which series.
+     * @param {string} [name] - Only this command, event or task.
+     * @returns {Object<string, {success: number, denied: number, error: number, count: number, averageMs: number}>}
+     */
+    getStats(kind, name) {
+        const stats = {};
+
+        for (const [seriesName, outcomes] of this.series[kind] || []) {
+            if (name !== undefined && seriesName !== name) continue;
+
+            const count = OUTCOMES.reduce((total, outcome) => total + outcomes[outcome].count, 0);
+            const sum = OUTCOMES.reduce((total, outcome) => total + outcomes[outcome].sum, 0);
+
+            stats[seriesName] = {
+                ...Object.fromEntries(OUTCOMES.map(outcome => [outcome, outcomes[outcome].count])),
+                count,
+                averageMs: count ? (sum / count) * 1000 : 0,
+            };
+        }
+
+        return stats;
+    }
+
+    /**
+     * Clears every series.
+     */
+    reset() {
+        for (const series of Object.values(this.series)) series.clear();
+    }
+
+    /**
+     * @returns {string} - All series in the Prometheus text format.
+     */
+    toPrometheus() {
+        const lines = [];
+
+        for (const kind of Object.keys(this.series)) {
+            const metric = `discord_${kind}`;
+            const series = [...this.series[kind]];
+
+            lines.push(`# HELP ${metric}_total Handled ${kind}s by outcome.`, `# TYPE ${metric}_total counter`);
+            for (const [name, outcomes] of series) {
+                for (const outcome of OUTCOMES) {
+                    lines.push(`${metric}_total{${kind}="${escapeLabel(name)}",outcome="${outcome}"} ${outcomes[outcome].count}`);
+                }
+            }
+
+            lines.push(`# HELP ${metric}_duration_seconds Time to handle a ${kind}.`, `# TYPE ${metric}_duration_seconds histogram`);
+            for (const [name, outcomes] of series) {
+                for (const outcome of OUTCOMES) {
+                    const histogram = outcomes[outcome];
+                    if (!histogram.count) continue;
+
+                    const labels = `${kind}="${escapeLabel(name)}",outcome="${outcome}"`;
+                    this.buckets.forEach((bound, index) => {
+                        lines.push(`${metric}_duration_seconds_bucket{${labels},le="${bound}"} ${histogram.buckets[index]}`);
+                    });
+                    lines.push(
+                        `${metric}_duration_seconds_bucket{${labels},le="+Inf"} ${histogram.count}`,
+                        `${metric}_duration_seconds_sum{${labels}} ${histogram.sum}`,
+                        `${metric}_duration_seconds_count{${labels}} ${histogram.count}`,
+                    );
+                }
+            }
+        }
+
+        return `${lines.join('\n')}\n`;
+    }
+}
+
+/**
+ * @param {string} value - A label value.
+ * @returns {string} - The value escaped for the Prometheus text format.
+ */
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Serves the metrics in the Prometheus text format.
+ *
+ * @param {MetricsRegistry} registry - The metrics to serve.
+ * @param {Object} options
+ * @param {number} options.port - Port to listen on, 0 picks a free one.
+ * @param {string} [options.host='127.0.0.1'] - Interface to listen on, only local by default.
+ * @param {string} [options.path='/metrics'] - Path of the endpoint.
+ * @returns {Promise<http.Server>} - The listening server.
+ */
+function startMetricsServer(registry, { port, host = '127.0.0.1', path = '/metrics' }) {
+    const server = http.createServer((request, response) => {
+        if (request.method !== 'GET' || request.url.split('?')[0] !== path) {
+            response.writeHead(404).end();
+            return;
+        }
+
+        response.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+        response.end(registry.toPrometheus());
+    });
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+            server.off('error', reject);
+            server.unref();
+            resolve(server);
+        });
+    });
+}
+
+export {
+    MetricsRegistry,
+    startMetricsServer
+}
@@ -0,0 +1,474 @@
+import { UserError } from './errors.js';
+
+// Application command option types
+const SUBCOMMAND = 1;
+const SUBCOMMAND_GROUP = 2;
+const STRING = 3;
+const INTEGER = 4;
+const BOOLEAN = 5;
+const USER = 6;
+const CHANNEL = 7;
+const ROLE = 8;
+const MENTIONABLE = 9;
+const NUMBER = 10;
+const ATTACHMENT = 11;
+
+const TYPE_NAMES = {
+    [STRING]: 'text',
+    [INTEGER]: 'whole number',
+    [BOOLEAN]: 'true or false',
+    [USER]: 'user',
+    [CHANNEL]: 'channel',
+    [ROLE]: 'role',
+    [MENTIONABLE]: 'user or role',
+    [NUMBER]: 'number',
+    [ATTACHMENT]: 'attachment',
+};
+
+const BOOLEANS = {
+    true: true, yes: true, on: true, 1: true,
+    false: false, no: false, off: false, 0: false,
+};
+
+// Options of an interaction reply that messages do not support
+const INTERACTION_ONLY_KEYS = ['ephemeral', 'flags', 'fetchReply', 'withResponse'];
+
+/**
+ * Thrown when the arguments of a prefix command do not match its options.
+ */
+class ArgumentError extends UserError {
+    constructor(message) {
+        super(message);
+        this.name = 'ArgumentError';
+    }
+}
+
+/**
+ * Splits the arguments of a message into words, keeping "quoted text" together.
+ *
+ * @param {string} content - The message content after the prefix.
+ * @returns {string[]} - The words.
+ */
+function tokenize(content) {
+    const tokens = [];
+    const pattern = /"([^"]*)"|'([^']*)'|(\S+)/g;
+
+    for (const match of content.matchAll(pattern)) {
+        tokens.push(match[1] ?? match[2] ?? match[3]);
+    }
+
+    return tokens;
+}
+
+/**
+ * Picks the subcommand (and group) from the words and returns the options that remain to be parsed.
+ *
+ * @param {Object} data - Plain command data.
+ * @param {string[]} tokens - The words after the command name, the used ones are removed.
+ * @returns {{group: string|null, subcommand: string|null, options: Object[]}}
+ * @throws {ArgumentError} When the subcommand is missing or unknown.
+ */
+function resolveSubcommand(data, tokens) {
+    let options = data.options || [];
+    let group = null;
+    let subcommand = null;
+
+    const pick = (types, label) => {
+        const choices = options.filter(option => types.includes(option.type));
+        const name = tokens.shift()?.toLowerCase();
+        const option = choices.find(choice => choice.name === name);
+        if (!option) {
+            throw new ArgumentError(`Missing or unknown ${label}, use one of: ${choices.map(choice => choice.name).join(', ')}.`);
+        }
+        return option;
+    };
+
+    if (options.some(option => option.type === SUBCOMMAND || option.type === SUBCOMMAND_GROUP)) {
+        const option = pick([SUBCOMMAND, SUBCOMMAND_GROUP], 'subcommand');
+
+        if (option.type === SUBCOMMAND_GROUP) {
+            group = option.name;
+            options = option.options || [];
+            subcommand = pick([SUBCOMMAND], 'subcommand').name;
+            options = options.find(other => other.name === subcommand).options || [];
+        } else {
+            subcommand = option.name;
+            options = option.options || [];
+        }
+    }
+
+    return { group, subcommand, options };
+}
+
+/**
+ * Coerces the words of a message to the declared options. Options are filled in order,
+ * the last text option takes the rest of the message.
+ *
+ * @param {Object[]} options - The declared options of the command or subcommand.
+ * @param {string[]} tokens - The words to parse.
+ * @param {Object} message - The message, used to resolve mentions and attachments.
+ * @returns {Promise<Array<Object>>} - Resolved options shaped like interaction options (`name`, `type`, `value`, `user`, ...).
+ * @throws {ArgumentError} When a word cannot be coerced or a required option is missing.
+ */
+async function parseArguments(options, tokens, message) {
+    const resolved = [];
+    const attachments = [...(message.attachments?.values?.() || [])];
+    const lastText = options.findLastIndex(option => option.type === STRING);
+
+    for (const [index, option] of options.entries()) {
+        if (option.type === ATTACHMENT) {
+            const attachment = attachments.shift();
+            if (attachment) {
+                resolved.push({ name: option.name, type: option.type, value: attachment.id, attachment });
+            } else if (option.required) {
+                throw new ArgumentError(`Missing attachment for '${option.name}'.`);
+            }
+            continue;
+        }
+
+        if (!tokens.length) {
+            if (option.required) throw new ArgumentError(`Missing value for '${option.name}'.`);
+            continue;
+        }
+
+        const raw = index === lastText && options.slice(index + 1).every(other => other.type === ATTACHMENT)
+            ? tokens.splice(0).join(' ')
+            : tokens.shift();
+
+        resolved.push({ name: option.name, type: option.type, ...(await coerce(option, raw, message)) });
+    }
+
+    if (tokens.length) {
+        throw new ArgumentError(`Too many arguments: ${tokens.join(' ')}.`);
+    }
+
+    return resolved;
+}
+
+/**
+ * @param {Object} option - The declared option.
+ * @param {string} raw - The word given for it.
+ * @param {Object} message - The message, used to resolve mentions.
+ * @returns {Promise<Object>} - `value` and the resolved `user`, `member`, `channel` or `role`.
+ */
+async function coerce(option, raw, message) {
+    const invalid = () => new ArgumentError(`'${raw}' is not a valid ${TYPE_NAMES[option.type] || 'value'} for '${option.name}'.`);
+    const outOfRange = (min, max, unit = '') => new ArgumentError(
+        `'${option.name}' must be ${min != null && max != null ? `between ${min} and ${max}` : min != null ? `at least ${min}` : `at most ${max}`}${unit}.`
+    );
+
+    switch (option.type) {
+        case STRING: {
+            const value = matchChoice(option, raw) ?? raw;
+            if ((option.min_length != null && value.length < option.min_length) || (option.max_length != null && value.length > option.max_length)) {
+                throw outOfRange(option.min_length, option.max_length, ' characters');
+            }
+            return { value };
+        }
+        case INTEGER:
+        case NUMBER: {
+            const choice = matchChoice(option, raw);
+            const value = choice ?? Number(raw);
+            if (raw.trim() === '' || !Number.isFinite(value)) throw invalid();
+            if (option.type === INTEGER && !Number.isInteger(value)) throw invalid();
+            if ((option.min_value != null && value < option.min_value) || (option.max_value != null && value > option.max_value)) {
+                throw outOfRange(option.min_value, option.max_value);
+            }
+            return { value };
+        }
+        case BOOLEAN: {
+            const value = BOOLEANS[raw.toLowerCase()];
+            if (value === undefined) throw invalid();
+            return { value };
+        }
+        case USER: {
+            const id = parseMention(raw, /^<@!?(\d+)>$/);
+            const user = id && await resolveUser(message, id);
+            if (!user) throw invalid();
+            return { value: id, user, member: await resolveMember(message, id) };
+        }
+        case CHANNEL: {
+            const id = parseMention(raw, /^<#(\d+)>$/);
+            const channel = id && (message.guild?.channels?.cache.get(id) || message.client?.channels?.cache.get(id));
+            if (!channel) throw invalid();
+            if (option.channel_types?.length && !option.channel_types.includes(channel.type)) throw invalid();
+            return { value: id, channel };
+        }
+        case ROLE: {
+            const id = parseMention(raw, /^<@&(\d+)>$/);
+            const role = id && message.guild?.roles?.cache.get(id);
+            if (!role) throw invalid();
+            return { value: id, role };
+        }
+        case MENTIONABLE: {
+            const roleId = parseMention(raw, /^<@&(\d+)>$/);
+            const role = roleId && message.guild?.roles?.cache.get(roleId);
+            if (role) return { value: roleId, role };
+
+            const userId = parseMention(raw, /^<@!?(\d+)>$/);
+            const user = userId && await resolveUser(message, userId);
+            if (!user) throw invalid();
+            return { value: userId, user, member: await resolveMember(message, userId) };
+        }
+        default:
+            throw invalid();
+    }
+}
+
+/**
+ * @param {Object} option - The declared option.
+ * @param {string} raw - The word given for it.
+ * @returns {*} - The value of the choice named (or valued) `raw`, undefined when the option has no choices.
+ * @throws {ArgumentError} When the option has choices and none matches.
+ */
+function matchChoice(option, raw) {
+    if (!option.choices?.length) return;
+
+    const lower = raw.toLowerCase();
+    const choice = option.choices.find(({ name, value }) => name.toLowerCase() === lower || String(value).toLowerCase() === lower);
+    if (!choice) {
+        throw new ArgumentError(`'${raw}' is not a choice for '${option.name}', use one of: ${option.choices.map(({ name }) => name).join(', ')}.`);
+    }
+
+    return choice.value;
+}
+
+/**
+ * @param {string} raw - A mention or a plain ID.
+ * @param {RegExp} pattern - The mention format, with the ID as first group.
+ * @returns {string|null} - The ID.
+ */
+function parseMention(raw, pattern) {
+    const match = raw.match(pattern);
+    if (match) return match[1];
+    return /^\d{15,25}$/.test(raw) ? raw : null;
+}
+
+/**
+ * @param {Object} message - The message the ID came from.
+ * @param {string} id - The user ID.
+ * @returns {Promise<Object|null>} - The user, from the mentions, the cache or the API.
+ */
+async function resolveUser(message, id) {
+    const mentioned = message.mentions?.users?.get(id);
+    if (mentioned) return mentioned;
+
+    const users = message.client?.users;
+    return users?.cache.get(id) || await users?.fetch?.(id).catch(() => null) || null;
+}
+
+/**
+ * @param {Object} message - The message the ID came from.
+ * @param {string} id - The user ID.
+ * @returns {Promise<Object|null>} - The member in the guild of the message, null in DMs or when they left.
+ */
+async function resolveMember(message, id) {
+    const members = message.guild?.members;
+    if (!members) return null;
+
+    return members.cache.get(id) || await members.fetch?.(id).catch(() => null) || null;
+}
+
+/**
+ * @param {string} prefix - The prefix used to call the command.
+ * @param {string} commandName - The command, with the subcommand when there is one.
+ * @param {Object[]} options - The declared options.
+ * @returns {string} - How to use the command, e.g. `!ban <user> [reason]`.
+ */
+function formatUsage(prefix, commandName, options) {
+    const subcommands = options.filter(option => option.type === SUBCOMMAND || option.type === SUBCOMMAND_GROUP);
+    const args = subcommands.length
+        ? [`<${subcommands.map(option => option.name).join('|')}>`]
+        : options.map(option => (option.required ? `<${option.name}>` : `[${option.name}]`));
+    return [`${prefix}${commandName}`, ...args].join(' ');
+}
+
+/**
+ * Gives parsed message arguments the same getters as interaction options.
+ */
+class MessageOptionResolver {
+    /**
+     * @param {Array<Object>} data - The resolved options.
+     * @param {{group: string|null, subcommand: string|null}} path - The subcommand that was used.
+     */
+    constructor(data, { group = null, subcommand = null } = {}) {
+        this.data = data;
+        this.group = group;
+        this.subcommand = subcommand;
+    }
+
+    /**
+     * @param {string} name - The option name.
+     * @param {boolean} [required=false] - Throw when the option was not given.
+     * @returns {Object|null} - The resolved option.
+     */
+    get(name, required = false) {
+        const option = this.data.find(other => other.name === name) || null;
+        if (!option && required) throw new ArgumentError(`Missing value for '${name}'.`);
+        return option;
+    }
+
+    getString(name, required) { return this.get(name, required)?.value ?? null; }
+    getInteger(name, required) { return this.get(name, required)?.value ?? null; }
+    getNumber(name, required) { return this.get(name, required)?.value ?? null; }
+    getBoolean(name, required) { return this.get(name, required)?.value ?? null; }
+    getUser(name, required) { return this.get(name, required)?.user ?? null; }
+    getMember(name) { return this.get(name)?.member ?? null; }
+    getChannel(name, required) { return this.get(name, required)?.channel ?? null; }
+    getRole(name, required) { return this.get(name, required)?.role ?? null; }
+    getAttachment(name, required) { return this.get(name, required)?.attachment ?? null; }
+
+    getMentionable(name, required) {
+        const option = this.get(name, required);
+        return option?.member ?? option?.user ?? option?.role ?? null;
+    }
+
+    getSubcommand(required = true) {
+        if (!this.subcommand && required) throw new ArgumentError('No subcommand was given.');
+        return this.subcommand;
+    }
+
+    getSubcommandGroup(required = false) {
+        if (!this.group && required) throw new ArgumentError('No subcommand group was given.');
+        return this.group;
+    }
+
+    getFocused() {
+        return null;
+    }
+}
+
+/**
+ * Wraps a message that called a prefix command so command callbacks can treat it like
+ * a chat input interaction: `reply`, `deferReply`, `editReply`, `followUp` and `options` work the same way.
+ * Ephemeral replies are not possible on messages, they are sent as normal replies.
+ */
+class MessageCommandAdapter {
+    /**
+     * @param {Object} message - The message that called the command.
+     * @param {Object} details
+     * @param {string} details.commandName - The top-level command name.
+     * @param {string} details.prefix - The prefix that was used.
+     * @param {MessageOptionResolver} details.options - The parsed arguments.
+     */
+    constructor(message, { commandName, prefix, options }) {
+        this.message = message;
+        this.source = 'message';
+        this.prefix = prefix;
+        this.commandName = commandName;
+        this.commandType = 1;
+        this.options = options;
+
+        this.id = message.id;
+        this.client = message.client;
+        this.user = message.author;
+        this.member = message.member;
+        this.guild = message.guild;
+        this.guildId = message.guildId;
+        this.channel = message.channel;
+        this.channelId = message.channelId;
+        this.createdTimestamp = message.createdTimestamp;
+        this.memberPermissions = message.member?.permissions ?? null;
+        this.appPermissions = message.guild?.members?.me?.permissions ?? null;
+
+        this.deferred = false;
+        this.replied = false;
+        this.replyMessage = null;
+    }
+
+    isChatInputCommand() { return true; }
+    isCommand() { return true; }
+    isRepliable() { return true; }
+    isContextMenuCommand() { return false; }
+    isAutocomplete() { return false; }
+    isMessageComponent() { return false; }
+    isModalSubmit() { return false; }
+
+    inGuild() {
+        return Boolean(this.guildId);
+    }
+
+    /**
+     * Replies to the message. Returns the sent message.
+     *
+     * @param {string|Object} options - Content or reply options, interaction-only keys are ignored.
+     * @returns {Promise<Object>} - The reply message.
+     */
+    async reply(options) {
+        if (this.replied || this.deferred) throw new Error('The reply to this command has already been sent or deferred.');
+
+        this.replyMessage = await this.message.reply(toMessageOptions(options));
+        this.replied = true;
+        return this.replyMessage;
+    }
+
+    /**
+     * Shows the typing indicator, the reply is sent with `editReply()`.
+     */
+    async deferReply() {
+        if (this.replied || this.deferred) throw new Error('The reply to this command has already been sent or deferred.');
+
+        this.deferred = true;
+        await this.channel?.sendTyping?.();
+    }
+
+    /**
+     * Edits the reply, or sends it after `deferReply()`.
+     *
+     * @param {string|Object} options - Content or reply options.
+     * @returns {Promise<Object>} - The reply message.
+     */
+    async editReply(options) {
+        if (!this.replyMessage) {
+            if (!this.deferred) throw new Error('The reply to this command has not been sent or deferred.');
+
+            this.replyMessage = await this.message.reply(toMessageOptions(options));
+            this.replied = true;
+            return this.replyMessage;
+        }
+
+        this.replyMessage = await this.replyMessage.edit(toMessageOptions(options));
+        return this.replyMessage;
+    }
+
+    /**
+     * Sends another message in the channel.
+     *
+     * @param {string|Object} options - Content or message options.
+     * @returns {Promise<Object>} - The sent message.
+     */
+    async followUp(options) {
+        return this.channel.send(toMessageOptions(options));
+    }
+
+    async fetchReply() {
+        return this.replyMessage;
+    }
+
+    async deleteReply() {
+        await this.replyMessage?.delete();
+        this.replyMessage = null;
+    }
+}
+
+/**
+ * @param {string|Object} options - Interaction reply options.
+ * @returns {string|Object} - The options without the keys messages do not accept.
+ */
+function toMessageOptions(options) {
+    if (typeof options !== 'object' || options === null) return options;
+
+    const messageOptions = { ...options };
+    for (const key of INTERACTION_ONLY_KEYS) delete messageOptions[key];
+    return messageOptions;
+}
+
+export {
+    ArgumentError,
+    MessageCommandAdapter,
+    MessageOptionResolver,
+    tokenize,
+    resolveSubcommand,
+    parseArguments,
+    formatUsage
+}
@@ -0,0 +1,196 @@
+// Limits from the Discord API documentation for application commands
+const NAME_PATTERN = /^[-_'\p{L}\p{N}\p{sc=Deva}\p{sc=Thai}]{1,32}$/u;
+const MAX_OPTIONS = 25;
+const MAX_CHOICES = 25;
+const MAX_DESCRIPTION = 100;
+const MAX_CHOICE_NAME = 100;
+const MAX_CHOICE_STRING = 100;
+const MAX_LENGTH_LIMIT = 6000;
+
+const SUBCOMMAND = 1;
+const SUBCOMMAND_GROUP = 2;
+const STRING = 3;
+const MAX_OPTION_TYPE = 11;
+
+/**
+ * Checks plain command data against Discord's rules for names, descriptions and options.
+ *
+ * @param {Object} data - Plain command data (builders already converted with `toJSON`).
+ * @returns {string[]} - One message per problem, empty when the command is valid.
+ */
+function validateCommandData(data) {
+    const problems = [];
+    const type = data.type ?? 1;
+
+    if (type === 1) {
+        checkName(data.name, `Command name`, problems);
+        checkDescription(data.description, `Command "${data.name}"`, problems);
+        checkOptions(data.options || [], `Command "${data.name}"`, problems, 0);
+    } else {
+        if (typeof data.name !== 'string' || data.name.length < 1 || data.name.length > 32) {
+            problems.push(`Context menu name "${data.name}" must be 1-32 characters.`);
+        }
+        if (data.description) {
+            problems.push(`Context menu "${data.name}" cannot have a description.`);
+        }
+        if (data.options?.length) {
+            problems.push(`Context menu "${data.name}" cannot have options.`);
+        }
+    }
+
+    return problems;
+}
+
+/**
+ * @param {string} name - The command or option name.
+ * @param {string} label - What the name belongs to, for the message.
+ * @param {string[]} problems - Collected problems.
+ */
+function checkName(name, label, problems) {
+    if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+        problems.push(`${label} "${name}" must be 1-32 characters without spaces or symbols.`);
+    } else if (name !== name.toLowerCase()) {
+        problems.push(`${label} "${name}" must be lowercase.`);
+    }
+}
+
+/**
+ * @param {string} description - The command or option description.
+ * @param {string} label - What the description belongs to, for the message.
+ * @param {string[]} problems - Collected problems.
+ */
+function checkDescription(description, label, problems) {
+    if (typeof description !== 'string' || description.length < 1 || description.length > MAX_DESCRIPTION) {
+        problems.push(`${label} needs a description of 1-${MAX_DESCRIPTION} characters.`);
+    }
+}
+
+/**
+ * Checks one level of options and recurses into subcommands and groups.
+ *
+ * @param {Object[]} options - The options of one level.
+ * @param {string} label - Path to this level, for the messages.
+ * @param {string[]} problems - Collected problems.
+ * @param {number} depth - 0 for command options, 1 inside a group or subcommand, 2 inside a subcommand of a group.
+ */
+function checkOptions(options, label, problems, depth) {
+    if (options.length > MAX_OPTIONS) {
+        problems.push(`${label} has ${options.length} options, the limit is ${MAX_OPTIONS}.`);
+    }
+
+    const names = new Set();
+    const subcommands = options.filter(option => option.type === SUBCOMMAND || option.type === SUBCOMMAND_GROUP);
+    if (subcommands.length && subcommands.length !== options.length) {
+        problems.push(`${label} mixes subcommands with other options.`);
+    }
+
+    let seenOptional = false;
+
+    for (const option of options) {
+        const optionLabel = `${label} option "${option.name}"`;
+
+        checkName(option.name, `${label} option name`, problems);
+        checkDescription(option.description, optionLabel, problems);
+
+        if (names.has(option.name)) problems.push(`${label} has more than one option named "${option.name}".`);
+        names.add(option.name);
+
+        if (!Number.isInteger(option.type) || option.type < 1 || option.type > MAX_OPTION_TYPE) {
+            problems.push(`${optionLabel} has an unknown type "${option.type}".`);
+            continue;
+        }
+
+        if (option.type === SUBCOMMAND_GROUP) {
+            if (depth > 0) problems.push(`${optionLabel} is a subcommand group nested too deep.`);
+            if ((option.options || []).some(child => child.type !== SUBCOMMAND)) {
+                problems.push(`${optionLabel} can only contain subcommands.`);
+            }
+            checkOptions(option.options || [], `${label} group "${option.name}"`, problems, depth + 1);
+            continue;
+        }
+
+        if (option.type === SUBCOMMAND) {
+            if (depth > 1) problems.push(`${optionLabel} is a subcommand nested too deep.`);
+            if ((option.options || []).some(child => child.type === SUBCOMMAND || child.type === SUBCOMMAND_GROUP)) {
+                problems.push(`${optionLabel} cannot contain subcommands.`);
+            }
+            checkOptions(option.options || [], `${label} subcommand "${option.name}"`, problems, 2);
+            continue;
+        }
+
+        if (option.required) {
+            if (seenOptional) problems.push(`${optionLabel} is required but comes after an optional option.`);
+        } else {
+            seenOptional = true;
+        }
+
+        checkChoices(option, optionLabel, problems);
+        checkRanges(option, optionLabel, problems);
+    }
+}
+
+/**
+ * @param {Object} option - A value option.
+ * @param {string} label - The option, for the messages.
+ * @param {string[]} problems - Collected problems.
+ */
+function checkChoices(option, label, problems) {
+    const choices = option.choices || [];
+    if (!choices.length) return;
+
+    if (option.autocomplete) problems.push(`${label} cannot have both choices and autocomplete.`);
+    if (choices.length > MAX_CHOICES) problems.push(`${label} has ${choices.length} choices, the limit is ${MAX_CHOICES}.`);
+
+    for (const choice of choices) {
+        if (typeof choice.name !== 'string' || choice.name.length < 1 || choice.name.length > MAX_CHOICE_NAME) {
+            problems.push(`${label} has a choice name "${choice.name}" that is not 1-${MAX_CHOICE_NAME} characters.`);
+        }
+        if (option.type === STRING && (typeof choice.value !== 'string' || choice.value.length > MAX_CHOICE_STRING)) {
+            problems.push(`${label} has a choice value "${choice.value}" that is not a string of up to ${MAX_CHOICE_STRING} characters.`);
+        }
+    }
+}
+
+/**
+ * @param {Object} option - A value option.
+ * @param {string} label - The option, for the messages.
+ * @param {string[]} problems - Collected problems.
+ */
+function checkRanges(option, label, problems) {
+    const { min_value: minValue, max_value: maxValue, min_length: minLength, max_length: maxLength } = option;
+
+    if (minValue != null && maxValue != null && minValue > maxValue) {
+        problems.push(`${label} has min_value greater than max_value.`);
+    }
+    if (minLength != null && (minLength < 0 || minLength > MAX_LENGTH_LIMIT)) {
+        problems.push(`${label} min_length must be 0-${MAX_LENGTH_LIMIT}.`);
+    }
+    if (maxLength != null && (maxLength < 1 || maxLength > MAX_LENGTH_LIMIT)) {
+        problems.push(`${label} max_length must be 1-${MAX_LENGTH_LIMIT}.`);
+    }
+    if (minLength != null && maxLength != null && minLength > maxLength) {
+        problems.push(`${label} has min_length greater than max_length.`);
+    }
+}
+
+// Events the client still emits under their old name, `ready` became `clientReady` in discord.js 14.22
+const LEGACY_EVENT_NAMES = ['ready'];
+
+/**
+ * Loads the client event names from discord.js, if it can be imported.
+ *
+ * @returns {Promise<Set<string>|null>} - The event names including the legacy ones, or null when discord.js is not available.
+ */
+async function loadClientEventNames() {
+    try {
+        const { Events } = await import('discord.js');
+        return Events ? new Set([...Object.values(Events), ...LEGACY_EVENT_NAMES]) : null;
+    } catch {
+        return null;
+    }
+}
+
+export {
+    validateCommandData,
+    loadClientEventNames
+}
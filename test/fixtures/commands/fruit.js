@@ -0,0 +1,13 @@
+const FRUITS = Array.from({ length: 30 }, (_, index) => `fruit-${index}`);
+
+export default {
+    command: {
+        name: 'fruit',
+        description: 'Pick a fruit',
+        options: [{ type: 3, name: 'name', description: 'The fruit', required: true, autocomplete: true }],
+    },
+    autocomplete: ({ focused }) => FRUITS.filter(fruit => fruit.startsWith(focused.value)),
+    callback: async ({ eventArg }) => {
+        await eventArg.reply({ content: `You picked ${eventArg.options.getString('name')}` });
+    },
+};
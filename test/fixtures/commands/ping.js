@@ -0,0 +1,11 @@
+export const ping = {
+    command: { name: 'ping', description: 'Replies with pong' },
+    callback: async ({ eventArg }) => {
+        await eventArg.reply({ content: formatReply('pong') });
+    },
+};
+
+// Not a command, must not be registered
+export function formatReply(text) {
+    return `**${text}**`;
+}
@@ -0,0 +1,7 @@
+export default {
+    customId: 'ticket:close:{id}',
+    type: 'button',
+    callback: async ({ eventArg, params }) => {
+        await eventArg.update({ content: `Closed ticket ${params.id}` });
+    },
+};
@@ -0,0 +1,3 @@
+export const handler = async ({ eventArg }) => {
+    eventArg.seen = true;
+};
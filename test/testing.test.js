@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import { EventHandlers } from '../index.js';
+import {
+    createFakeClient,
+    createChatInputInteraction,
+    createAutocompleteInteraction,
+    createComponentInteraction
+} from '../testing.js';
+
+const fixture = (folder) => fileURLToPath(new URL(`./fixtures/${folder}`, import.meta.url));
+
+/**
+ * @param {Object} [options] - Extra handler options.
+ * @returns {Promise<{client: Object, handlers: EventHandlers}>}
+ */
+async function createHandlers(options = {}) {
+    const client = options.client || createFakeClient();
+    const handlers = await EventHandlers.create({
+        client,
+        commandsPath: fixture('commands'),
+        componentsPath: fixture('components'),
+        eventsPath: fixture('events'),
+        logLevel: 'silent',
+        ...options,
+    });
+
+    return { client, handlers };
+}
+
+test('a chat input command replies through the dispatch path', async () => {
+    const { client, handlers } = await createHandlers();
+
+    const interaction = createChatInputInteraction(client, { commandName: 'ping' });
+    await client.emitAsync('interactionCreate', interaction);
+
+    assert.deepEqual(interaction.replies, [{ type: 'reply', options: { content: '**pong**' } }]);
+    assert.deepEqual([...handlers.commands.keys()].sort(), ['fruit', 'ping']);
+
+    await handlers.destroy();
+});
+
+test('autocomplete choices are cut to 25', async () => {
+    const { client, handlers } = await createHandlers();
+
+    const interaction = createAutocompleteInteraction(client, { commandName: 'fruit', focused: { name: 'name', value: 'fruit' } });
+    await client.emitAsync('interactionCreate', interaction);
+
+    assert.equal(interaction.responses.length, 1);
+    assert.equal(interaction.responses[0].length, 25);
+    assert.deepEqual(interaction.responses[0][0], { name: 'fruit-0', value: 'fruit-0' });
+
+    await handlers.destroy();
+});
+
+test('a component custom ID pattern passes its params', async () => {
+    const { client, handlers } = await createHandlers();
+
+    const interaction = createComponentInteraction(client, { customId: 'ticket:close:42' });
+    await client.emitAsync('interactionCreate', interaction);
+
+    assert.deepEqual(interaction.replies, [{ type: 'update', options: { content: 'Closed ticket 42' } }]);
+
+    await handlers.destroy();
+});
+
+test('a named function export in an event file is a handler', async () => {
+    const { client, handlers } = await createHandlers();
+
+    const message = { content: 'hello', author: { id: 'user' } };
+    await client.emitAsync('messageCreate', message);
+
+    assert.equal(message.seen, true);
+
+    await handlers.destroy();
+});
+
+test('registerCommands creates, edits and deletes only what changed', async () => {
+    const client = createFakeClient();
+    const guild = client.guilds.cache.get('guild');
+    await guild.commands.create({ name: 'ping', description: 'An old description' });
+    await guild.commands.create({ name: 'stale', description: 'Removed from the commands folder' });
+    guild.commands.clearCalls();
+
+    // The fake client is ready, so creating the handlers syncs right away
+    const { handlers } = await createHandlers({ client });
+
+    assert.deepEqual(guild.commands.getCalled('create'), ['fruit']);
+    assert.deepEqual(guild.commands.getCalled('edit'), ['ping']);
+    assert.deepEqual(guild.commands.getCalled('delete'), ['stale']);
+    assert.deepEqual(client.application.commands.getCalled('set'), []);
+
+    guild.commands.clearCalls();
+    await handlers.registerCommands(client);
+
+    assert.deepEqual(guild.commands.calls, [{ method: 'fetch' }]);
+
+    await handlers.destroy();
+});
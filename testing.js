@@ -0,0 +1,523 @@
+import { EventEmitter } from 'events';
+import { isDeepStrictEqual } from 'util';
+
+/**
+ * Test helpers: a fake client and fake interactions that go through the real dispatch path
+ * of `EventHandlers`, without a connection to Discord.
+ *
+ * @example
+ * import { EventHandlers } from 'discord-eventhandlers';
+ * import { createFakeClient, createChatInputInteraction } from 'discord-eventhandlers/testing';
+ *
+ * const client = createFakeClient();
+ * const handlers = await EventHandlers.create({ client, commandsPath: 'src/commands' });
+ *
+ * const interaction = createChatInputInteraction(client, { commandName: 'ping' });
+ * await client.emitAsync('interactionCreate', interaction);
+ * interaction.replies; // [{ type: 'reply', options: { content: 'Pong!' } }]
+ */
+
+let nextId = 100000000000000000n;
+
+/**
+ * @returns {string} - A new snowflake-like ID.
+ */
+function createId() {
+    nextId += 1n;
+    return String(nextId);
+}
+
+/**
+ * The parts of the discord.js `Collection` the handler uses.
+ */
+class Collection extends Map {
+    find(fn) {
+        for (const [key, value] of this) if (fn(value, key, this)) return value;
+    }
+
+    filter(fn) {
+        return new Collection([...this].filter(([key, value]) => fn(value, key, this)));
+    }
+
+    map(fn) {
+        return [...this].map(([key, value]) => fn(value, key, this));
+    }
+
+    some(fn) {
+        return [...this].some(([key, value]) => fn(value, key, this));
+    }
+
+    first() {
+        return this.values().next().value;
+    }
+}
+
+/**
+ * Stands in for `client.application.commands` and `guild.commands`.
+ * Every call is recorded in `calls`, a bulk `set()` also records the `create`, `edit`
+ * and `delete` it amounts to (with `bulk: true`).
+ */
+class FakeApplicationCommandManager {
+    /**
+     * @param {Object} [guild] - The guild the commands belong to, none for global commands.
+     */
+    constructor(guild = null) {
+        this.guild = guild;
+        this.cache = new Collection();
+
+        /**
+         * @type {Array<{method: string, name?: string, id?: string, data?: Object, bulk?: boolean}>}
+         */
+        this.calls = [];
+    }
+
+    async fetch() {
+        this.calls.push({ method: 'fetch' });
+        return this.cache;
+    }
+
+    async create(command) {
+        const data = toJSON(command);
+        this.calls.push({ method: 'create', name: data.name, data });
+        return this.store(createId(), data);
+    }
+
+    async edit(id, command) {
+        const data = toJSON(command);
+        if (!this.cache.has(id)) throw new Error(`Unknown application command '${id}'.`);
+
+        this.calls.push({ method: 'edit', id, name: data.name, data });
+        return this.store(id, data);
+    }
+
+    async delete(id) {
+        const existing = this.cache.get(id);
+        if (!existing) throw new Error(`Unknown application command '${id}'.`);
+
+        this.calls.push({ method: 'delete', id, name: existing.name });
+        this.cache.delete(id);
+        return existing;
+    }
+
+    /**
+     * Overwrites every command, like Discord's bulk overwrite.
+     *
+     * @param {Object[]} commands - Command data or builders.
+     * @returns {Promise<Collection>} - The stored commands.
+     */
+    async set(commands) {
+        const list = commands.map(toJSON);
+        this.calls.push({ method: 'set', names: list.map(data => data.name) });
+
+        const previous = this.cache;
+        this.cache = new Collection();
+
+        for (const data of list) {
+            const existing = previous.find(command => command.name === data.name && command.type === (data.type ?? 1));
+
+            if (!existing) {
+                this.calls.push({ method: 'create', name: data.name, data, bulk: true });
+                this.store(createId(), data);
+                continue;
+            }
+
+            const { id, applicationId, guildId, ...stored } = existing;
+            if (!isDeepStrictEqual(stored, { ...data, type: data.type ?? 1 })) {
+                this.calls.push({ method: 'edit', id, name: data.name, data, bulk: true });
+            }
+            this.store(id, data);
+        }
+
+        for (const command of previous.values()) {
+            if (!this.cache.has(command.id)) this.calls.push({ method: 'delete', id: command.id, name: command.name, bulk: true });
+        }
+
+        return this.cache;
+    }
+
+    /**
+     * @param {string} [method] - Only calls of this method.
+     * @returns {string[]} - Names of the commands in the recorded calls, e.g. `getCalled('create')`.
+     */
+    getCalled(method) {
+        return this.calls
+            .filter(call => !method || call.method === method)
+            .flatMap(call => call.names || (call.name ? [call.name] : []));
+    }
+
+    /**
+     * Forgets the recorded calls, the commands stay.
+     */
+    clearCalls() {
+        this.calls = [];
+    }
+
+    store(id, data) {
+        const command = { ...data, type: data.type ?? 1, id, applicationId: 'application', guildId: this.guild?.id ?? null };
+        this.cache.set(id, command);
+        return command;
+    }
+}
+
+/**
+ * @param {Object} command - Command data or a builder.
+ * @returns {Object} - Plain command data.
+ */
+function toJSON(command) {
+    return structuredClone(typeof command?.toJSON === 'function' ? command.toJSON() : command);
+}
+
+/**
+ * @param {string[]|true} permissions - The granted permissions, `true` for all of them.
+ * @returns {{has: (permission: *) => boolean}} - A stand-in for `PermissionsBitField`.
+ */
+function createPermissions(permissions = true) {
+    return {
+        has: (permission) => permissions === true || [permission].flat().every(name => permissions.includes(name)),
+        toArray: () => (permissions === true ? [] : [...permissions]),
+    };
+}
+
+/**
+ * A client that is ready and in the guilds you give it. Use `emitAsync()` to emit
+ * an event and wait until every listener (and so the command callback) is done.
+ *
+ * @param {Object} [options]
+ * @param {Array<{id?: string, name?: string}>} [options.guilds] - Guilds the bot is in, one `Test Guild` by default.
+ * @param {Object} [options.user] - The bot user.
+ * @returns {EventEmitter} - The fake client.
+ */
+function createFakeClient({ guilds = [{ id: 'guild', name: 'Test Guild' }], user = {} } = {}) {
+    const client = new EventEmitter();
+
+    client.user = { id: 'bot', username: 'Test Bot', tag: 'Test Bot#0000', bot: true, ...user };
+    client.application = { id: 'application', commands: new FakeApplicationCommandManager() };
+    client.users = { cache: new Collection(), fetch: async (id) => client.users.cache.get(id) ?? Promise.reject(new Error(`Unknown user '${id}'.`)) };
+    client.channels = { cache: new Collection() };
+    client.ws = { ping: 0 };
+    client.readyAt = new Date();
+    client.destroyed = false;
+
+    client.guilds = {
+        cache: new Collection(),
+        fetch: async (id) => client.guilds.cache.get(id) ?? Promise.reject(new Error(`Unknown guild '${id}'.`)),
+    };
+
+    /**
+     * Adds a guild the bot is in.
+     *
+     * @param {{id?: string, name?: string, permissions?: string[]|true}} [data]
+     * @returns {Object} - The guild, with its own `commands` manager.
+     */
+    client.addGuild = ({ id = createId(), name = 'Guild', permissions = true } = {}) => {
+        const guild = { id, name, client };
+        guild.commands = new FakeApplicationCommandManager(guild);
+        guild.members = { me: { id: client.user.id, permissions: createPermissions(permissions) }, cache: new Collection(), fetch: async (memberId) => guild.members.cache.get(memberId) ?? null };
+        guild.roles = { cache: new Collection() };
+        guild.channels = { cache: new Collection() };
+
+        client.guilds.cache.set(id, guild);
+        return guild;
+    };
+
+    for (const guild of guilds) client.addGuild(guild);
+
+    client.isReady = () => !client.destroyed;
+    client.destroy = async () => {
+        client.destroyed = true;
+    };
+
+    /**
+     * Emits an event and waits for every listener to finish.
+     *
+     * @param {string} event - The event name.
+     * @param {...*} args - The event arguments.
+     * @returns {Promise<void>}
+     */
+    client.emitAsync = async (event, ...args) => {
+        await Promise.all(client.rawListeners(event).map(listener => listener.apply(client, args)));
+    };
+
+    return client;
+}
+
+/**
+ * Everything an interaction shares: who, where, and the reply methods.
+ * Each reply call is recorded in `replies` as `{ type, options }`.
+ */
+function createBaseInteraction(client, {
+    user = { id: 'user', username: 'Test User', tag: 'Test User#0000' },
+    guildId = client.guilds.cache.first()?.id ?? null,
+    channelId = 'channel',
+    permissions = true,
+    roles = [],
+    locale = 'en-US',
+} = {}) {
+    const guild = guildId ? client.guilds.cache.get(guildId) ?? null : null;
+    const memberPermissions = guildId ? createPermissions(permissions) : null;
+
+    const interaction = {
+        id: createId(),
+        applicationId: client.application.id,
+        client,
+        user,
+        member: guildId ? { id: user.id, user, permissions: memberPermissions, roles: { cache: new Collection(roles.map(id => [id, { id }])) } } : null,
+        guild,
+        guildId,
+        channelId,
+        channel: { id: channelId, send: async (options) => interaction.replies.push({ type: 'channelSend', options }) },
+        memberPermissions,
+        appPermissions: guild?.members.me.permissions ?? null,
+        locale,
+        createdTimestamp: Date.now(),
+        replied: false,
+        deferred: false,
+        ephemeral: null,
+        replies: [],
+
+        inGuild: () => Boolean(guildId),
+        isRepliable: () => true,
+        isCommand: () => false,
+        isChatInputCommand: () => false,
+        isContextMenuCommand: () => false,
+        isUserContextMenuCommand: () => false,
+        isMessageContextMenuCommand: () => false,
+        isAutocomplete: () => false,
+        isMessageComponent: () => false,
+        isButton: () => false,
+        isStringSelectMenu: () => false,
+        isUserSelectMenu: () => false,
+        isRoleSelectMenu: () => false,
+        isChannelSelectMenu: () => false,
+        isMentionableSelectMenu: () => false,
+        isModalSubmit: () => false,
+
+        async reply(options) {
+            if (this.replied || this.deferred) throw new Error('The reply to this interaction has already been sent or deferred.');
+            this.replied = true;
+            this.ephemeral = isEphemeral(options);
+            this.replies.push({ type: 'reply', options });
+        },
+        async deferReply(options = {}) {
+            if (this.replied || this.deferred) throw new Error('The reply to this interaction has already been sent or deferred.');
+            this.deferred = true;
+            this.ephemeral = isEphemeral(options);
+            this.replies.push({ type: 'deferReply', options });
+        },
+        async editReply(options) {
+            if (!this.replied && !this.deferred) throw new Error('The reply to this interaction has not been sent or deferred.');
+            this.replied = true;
+            this.replies.push({ type: 'editReply', options });
+        },
+        async followUp(options) {
+            if (!this.replied && !this.deferred) throw new Error('The reply to this interaction has not been sent or deferred.');
+            this.replies.push({ type: 'followUp', options });
+        },
+        async deleteReply() {
+            this.replies.push({ type: 'deleteReply' });
+        },
+        async fetchReply() {
+            return { id: createId(), createdTimestamp: Date.now(), content: lastContent(this.replies) };
+        },
+        async showModal(modal) {
+            if (this.replied || this.deferred) throw new Error('The reply to this interaction has already been sent or deferred.');
+            this.replied = true;
+            this.replies.push({ type: 'showModal', options: modal });
+        },
+    };
+
+    return interaction;
+}
+
+/**
+ * @param {string|Object} options - Reply options.
+ * @returns {boolean} - Whether the reply is ephemeral.
+ */
+function isEphemeral(options) {
+    return Boolean(options?.ephemeral || (options?.flags & 64));
+}
+
+/**
+ * @param {Array<Object>} replies - Recorded replies.
+ * @returns {string|undefined} - The content of the last reply that had one.
+ */
+function lastContent(replies) {
+    for (const { options } of [...replies].reverse()) {
+        if (typeof options === 'string') return options;
+        if (options?.content !== undefined) return options.content;
+    }
+}
+
+/**
+ * Option getters over plain values, like `interaction.options`.
+ *
+ * @param {Object<string, *>} values - Option values by name. Users, channels, roles and attachments are passed as objects.
+ * @param {{subcommand?: string, subcommandGroup?: string, focused?: {name: string, value: string}}} [extra]
+ */
+function createOptionResolver(values = {}, { subcommand = null, subcommandGroup = null, focused = null } = {}) {
+    const get = (name, required = false) => {
+        if (!(name in values) || values[name] == null) {
+            if (required) throw new Error(`Required option "${name}" not found.`);
+            return null;
+        }
+        return values[name];
+    };
+
+    return {
+        data: Object.entries(values).map(([name, value]) => ({ name, value })),
+        get: (name, required) => {
+            const value = get(name, required);
+            return value === null ? null : { name, value };
+        },
+        getString: get,
+        getInteger: get,
+        getNumber: get,
+        getBoolean: get,
+        getUser: get,
+        getMember: (name) => get(name),
+        getChannel: get,
+        getRole: get,
+        getMentionable: get,
+        getAttachment: get,
+        getSubcommand(required = true) {
+            if (!subcommand && required) throw new Error('No subcommand specified for interaction.');
+            return subcommand;
+        },
+        getSubcommandGroup(required = false) {
+            if (!subcommandGroup && required) throw new Error('No subcommand group specified for interaction.');
+            return subcommandGroup;
+        },
+        getFocused(full = false) {
+            if (!focused) throw new Error('No focused option for autocomplete interaction.');
+            return full ? focused : focused.value;
+        },
+    };
+}
+
+/**
+ * A slash command interaction.
+ *
+ * @param {EventEmitter} client - The fake client.
+ * @param {Object} options
+ * @param {string} options.commandName - The top-level command name.
+ * @param {string} [options.subcommand]
+ * @param {string} [options.subcommandGroup]
+ * @param {Object<string, *>} [options.options] - Option values by name.
+ * @param {Object} [options.user] - Who runs the command.
+ * @param {string|null} [options.guildId] - Where, `null` for DMs. Defaults to the first guild of the client.
+ * @param {string} [options.channelId]
+ * @param {string[]|true} [options.permissions] - Permissions of the member, all by default.
+ * @param {string[]} [options.roles] - Role IDs of the member.
+ * @returns {Object} - The interaction, replies are recorded in `replies`.
+ */
+function createChatInputInteraction(client, { commandName, subcommand, subcommandGroup, options, ...base }) {
+    const interaction = createBaseInteraction(client, base);
+
+    return Object.assign(interaction, {
+        type: 2,
+        commandType: 1,
+        commandName,
+        commandId: createId(),
+        options: createOptionResolver(options, { subcommand, subcommandGroup }),
+        isCommand: () => true,
+        isChatInputCommand: () => true,
+    });
+}
+
+/**
+ * An autocomplete interaction. The answered choices are recorded in `responses`.
+ *
+ * @param {EventEmitter} client - The fake client.
+ * @param {Object} options
+ * @param {string} options.commandName - The top-level command name.
+ * @param {{name: string, value: string}} options.focused - The option being typed in.
+ * @param {string} [options.subcommand]
+ * @param {string} [options.subcommandGroup]
+ * @param {Object<string, *>} [options.options] - Values of the other options.
+ * @returns {Object} - The interaction.
+ */
+function createAutocompleteInteraction(client, { commandName, focused, subcommand, subcommandGroup, options, ...base }) {
+    const interaction = createBaseInteraction(client, base);
+
+    return Object.assign(interaction, {
+        type: 4,
+        commandType: 1,
+        commandName,
+        commandId: createId(),
+        options: createOptionResolver({ ...options, [focused.name]: focused.value }, { subcommand, subcommandGroup, focused: { ...focused, focused: true } }),
+        responded: false,
+        responses: [],
+        isRepliable: () => false,
+        isAutocomplete: () => true,
+        async respond(choices) {
+            if (this.responded) throw new Error('This autocomplete interaction has already been answered.');
+            this.responded = true;
+            this.responses.push(choices);
+        },
+    });
+}
+
+// Interaction checks that are true for each component type
+const COMPONENT_CHECKS = {
+    button: 'isButton',
+    stringSelect: 'isStringSelectMenu',
+    userSelect: 'isUserSelectMenu',
+    roleSelect: 'isRoleSelectMenu',
+    channelSelect: 'isChannelSelectMenu',
+    mentionableSelect: 'isMentionableSelectMenu',
+    modal: 'isModalSubmit',
+};
+
+/**
+ * A button, select menu or modal submit interaction.
+ *
+ * @param {EventEmitter} client - The fake client.
+ * @param {Object} options
+ * @param {string} options.customId
+ * @param {'button'|'stringSelect'|'userSelect'|'roleSelect'|'channelSelect'|'mentionableSelect'|'modal'} [options.type='button']
+ * @param {string[]} [options.values] - Selected values of a select menu.
+ * @param {Object<string, string>} [options.fields] - Text input values of a modal, by custom ID.
+ * @returns {Object} - The interaction, replies (including `update` and `deferUpdate`) are recorded in `replies`.
+ */
+function createComponentInteraction(client, { customId, type = 'button', values = [], fields = {}, ...base }) {
+    const check = COMPONENT_CHECKS[type];
+    if (!check) throw new Error(`Unknown component type '${type}'. Use one of: ${Object.keys(COMPONENT_CHECKS).join(', ')}.`);
+
+    const interaction = createBaseInteraction(client, base);
+    const isModal = type === 'modal';
+
+    return Object.assign(interaction, {
+        type: isModal ? 5 : 3,
+        customId,
+        values,
+        message: isModal ? null : { id: createId(), content: '' },
+        fields: isModal ? {
+            getTextInputValue: (id) => {
+                if (!(id in fields)) throw new Error(`No text input with custom ID '${id}'.`);
+                return fields[id];
+            },
+        } : undefined,
+        isMessageComponent: () => !isModal,
+        [check]: () => true,
+        async update(options) {
+            if (this.replied || this.deferred) throw new Error('The reply to this interaction has already been sent or deferred.');
+            this.replied = true;
+            this.replies.push({ type: 'update', options });
+        },
+        async deferUpdate() {
+            if (this.replied || this.deferred) throw new Error('The reply to this interaction has already been sent or deferred.');
+            this.deferred = true;
+            this.replies.push({ type: 'deferUpdate' });
+        },
+    });
+}
+
+export {
+    Collection,
+    FakeApplicationCommandManager,
+    createFakeClient,
+    createPermissions,
+    createChatInputInteraction,
+    createAutocompleteInteraction,
+    createComponentInteraction
+}